@@ -0,0 +1,121 @@
+// Reference values for the clinical calculators in web/js/utils/clinical.js.
+// Run with `node --test` from the repository root (Node 20+, no dependencies).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  bmi,
+  bsa,
+  cockcroftGault,
+  correctedCalcium,
+  egfrCkdEpi,
+  idealBodyWeight,
+  meanArterialPressure,
+  packYears,
+  toQuantity,
+  toSex,
+} from "../web/js/utils/clinical.js";
+
+/** Assert `actual` is within `tolerance` of `expected`. */
+function near(actual, expected, tolerance) {
+  assert.equal(typeof actual, "number", `expected a number, got ${actual}`);
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`,
+  );
+}
+
+test("bmi: 70 kg, 175 cm is 22.9 kg/m²", () => {
+  near(bmi(70, 175), 22.86, 0.01);
+  near(bmi("154 lb", "69 in"), 22.74, 0.01);
+  near(bmi({ value: 70, unit: "kg" }, { value: 1.75, unit: "m" }), 22.86, 0.01);
+});
+
+test("bsa (Mosteller): 70 kg, 170 cm is 1.82 m²", () => {
+  near(bsa(70, 170), 1.818, 0.001);
+  near(bsa(100, 180), 2.236, 0.001);
+});
+
+test("map: 120/80 mmHg is 93.3 mmHg", () => {
+  near(meanArterialPressure(120, 80), 93.33, 0.01);
+  near(meanArterialPressure("16 kPa", "10.7 kPa"), 93.6, 0.1);
+  assert.equal(meanArterialPressure(80, 120), null);
+});
+
+test("egfr_ckdepi (2021): creatinine 1.0 mg/dL at 50 years", () => {
+  // NKF CKD-EPI 2021 calculator: 92 (male) and 69 (female) mL/min/1.73 m²
+  near(egfrCkdEpi(1.0, 50, "male"), 91.7, 0.1);
+  near(egfrCkdEpi(1.0, 50, "female"), 68.6, 0.1);
+  // Below kappa the alpha exponent applies
+  near(egfrCkdEpi(0.6, 40, "F"), 116.3, 0.1);
+  // 88.42 µmol/L is 1.0 mg/dL
+  near(egfrCkdEpi("88.42 umol/L", 50, "male"), 91.7, 0.1);
+  assert.equal(egfrCkdEpi(1.0, 17, "male"), null);
+});
+
+test("crcl_cockcroft_gault: 60 years, 72 kg, creatinine 1.0 mg/dL", () => {
+  near(cockcroftGault(1.0, 60, 72, "male"), 80, 1e-9);
+  near(cockcroftGault(1.0, 60, 72, "female"), 68, 1e-9);
+  assert.equal(cockcroftGault(1.0, 60, 72, "unknown"), null);
+});
+
+test("corrected_calcium: Payne, in the unit the calcium was given in", () => {
+  near(correctedCalcium(8.0, 2.0), 9.6, 1e-9);
+  near(correctedCalcium(10.0, 4.0), 10.0, 1e-9);
+  near(correctedCalcium("2.0 mmol/L", "20 g/L"), 2.4, 0.01);
+});
+
+test("ibw (Devine): 170 cm is 65.9 kg (male), 61.4 kg (female)", () => {
+  near(idealBodyWeight(170, "male"), 65.94, 0.01);
+  near(idealBodyWeight(170, "female"), 61.44, 0.01);
+  near(idealBodyWeight(150, "female"), 45.5, 1e-9);
+});
+
+test("pack_years: packs per day × years smoked", () => {
+  near(packYears(1, 20), 20, 1e-9);
+  near(packYears(0.5, 30), 15, 1e-9);
+  near(packYears(1, { value: 10, unit: "years" }), 10, 1e-9);
+});
+
+test("toQuantity converts units to the canonical one", () => {
+  near(toQuantity("154 lb", "weight"), 69.85, 0.01);
+  near(toQuantity("500 g", "weight"), 0.5, 1e-9);
+  near(toQuantity({ value: "1.8", unit: "m" }, "height"), 180, 1e-9);
+  near(toQuantity("70 IN", "height"), 177.8, 1e-9);
+  near(toQuantity("88.42 µmol/L", "creatinine"), 1, 1e-9);
+  near(toQuantity("2.5 mmol/L", "calcium"), 10.02, 1e-9);
+  near(toQuantity("35 g/L", "albumin"), 3.5, 1e-9);
+  near(toQuantity("16 kPa", "pressure"), 120.01, 0.01);
+  near(toQuantity({ value: 6, unit: "months" }, "age"), 180 / 365, 1e-9);
+  near(toQuantity("72 kg", "weight"), 72, 1e-9);
+  near(toQuantity(" 72 ", "weight"), 72, 1e-9);
+});
+
+test("toQuantity gives null for missing, unknown or implausible input", () => {
+  const missing = [null, undefined, "", "  ", "abc", {}, { value: "" }, NaN];
+  for (const v of [...missing, { value: null }, true]) {
+    assert.equal(toQuantity(v, "weight"), null, `weight ${String(v)}`);
+  }
+  assert.equal(toQuantity("11 stone", "weight"), null);
+  assert.equal(toQuantity({ value: 70, unit: "st" }, "weight"), null);
+  assert.equal(toQuantity(600, "weight"), null);
+  assert.equal(toQuantity(-1, "age"), null);
+  assert.equal(toQuantity("5 mmol/L", "creatinine"), null);
+  assert.equal(bmi(null, 175), null);
+  assert.equal(bsa(70, ""), null);
+  assert.equal(egfrCkdEpi(1.0, 50, ""), null);
+  assert.equal(correctedCalcium("2.0 mmol/L", null), null);
+  assert.equal(packYears(1, "forever"), null);
+});
+
+test("toSex reads male / female and M / F, any case", () => {
+  assert.equal(toSex("Male"), "male");
+  assert.equal(toSex(" m "), "male");
+  assert.equal(toSex("FEMALE"), "female");
+  assert.equal(toSex("f"), "female");
+  assert.equal(toSex("other"), null);
+  assert.equal(toSex(""), null);
+  assert.equal(toSex(null), null);
+  assert.equal(toSex(undefined), null);
+});
@@ -0,0 +1,332 @@
+// Behavior of `if:` conditions (web/js/conditional.js).
+// Run with `node --test` from the repository root (Node 20+, no dependencies).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ConditionSyntaxError,
+  conditionRefs,
+  evaluateCondition,
+  evaluateExpression,
+  parseCondition,
+} from "../web/js/conditional.js";
+import { addDuration, formatISODate, today } from "../web/js/utils/dates.js";
+
+/** Evaluate `expr` against the field values in `values`. */
+function holds(expr, values = {}, meta) {
+  return evaluateCondition(expr, (id) => values[id], meta);
+}
+
+/** Assert `expr` fails to parse with `message` at [start, end). */
+function syntaxError(expr, message, start, end) {
+  assert.throws(
+    () => parseCondition(expr),
+    (e) =>
+      e instanceof ConditionSyntaxError &&
+      e.message === message &&
+      e.start === start &&
+      e.end === end,
+    expr,
+  );
+}
+
+// #region Logic (and / or / not)
+
+test("comparisons: == != > < >= <=", () => {
+  const v = { sex: "Female", age: "14" };
+  assert.equal(holds("sex==Female", v), true);
+  assert.equal(holds("sex!=Female", v), false);
+  assert.equal(holds('sex=="Female"', v), true);
+  assert.equal(holds("age>12", v), true);
+  assert.equal(holds("age<12", v), false);
+  assert.equal(holds("age>=14", v), true);
+  assert.equal(holds("age<=13", v), false);
+  assert.equal(holds("done==true", { done: true }), true);
+});
+
+test("and / or / not, also && || !", () => {
+  const v = { a: "1", b: "", c: true };
+  assert.equal(holds("a==1 and c", v), true);
+  assert.equal(holds("a==1 and b", v), false);
+  assert.equal(holds("a==2 or c", v), true);
+  assert.equal(holds("not b", v), true);
+  assert.equal(holds("a==1 && !b || a==2", v), true);
+  assert.equal(holds("A==1 AND NOT b", { A: "1" }), true);
+});
+
+test("precedence: not binds tighter than and, and tighter than or", () => {
+  // true or (false and false)
+  assert.equal(holds("t or f and f", { t: true, f: false }), true);
+  // (not false) and true
+  assert.equal(holds("not f and t", { t: true, f: false }), true);
+  // not (false or true)
+  assert.equal(holds("not (f or t)", { t: true, f: false }), false);
+  assert.equal(holds("(t or f) and f", { t: true, f: false }), false);
+  const ast = parseCondition("a or b and not c");
+  assert.equal(ast.type, "or");
+  assert.equal(ast.right.type, "and");
+  assert.equal(ast.right.right.type, "not");
+});
+
+test("a bare operand is true when checked, non-empty and not 0 / false", () => {
+  assert.equal(holds("x", { x: true }), true);
+  assert.equal(holds("x", { x: "yes" }), true);
+  for (const x of [false, "", "0", 0, "false", undefined])
+    assert.equal(holds("x", { x }), false, String(x));
+});
+
+test("right-hand bare words are fields when they exist, else literals", () => {
+  assert.equal(holds("a==b", { a: "5", b: "5" }), true);
+  assert.equal(holds("a==b", { a: "b" }), true);
+  assert.equal(holds("a=='b'", { a: "5", b: "5" }), false);
+  const refs = conditionRefs("a==b and c");
+  assert.deepEqual(
+    refs.map((r) => [r.name, r.start, r.end, r.optional]),
+    [
+      ["a", 0, 1, false],
+      ["b", 3, 4, true],
+      ["c", 9, 10, false],
+    ],
+  );
+});
+
+test("unquoted multi-word values compare as one literal (pre-grammar syntax)", () => {
+  const v = { patient_sex: "Some Value", a: "x" };
+  assert.equal(holds("patient_sex==Some Value", v), true);
+  assert.equal(holds("patient_sex!=Some Value", v), false);
+  assert.equal(holds("patient_sex==Other Value", v), false);
+  assert.equal(holds("patient_sex==Some Value and a==x", v), true);
+  assert.equal(holds("a==y or patient_sex==Some Value", v), true);
+  assert.deepEqual(
+    conditionRefs("patient_sex==Some Value").map((r) => r.name),
+    ["patient_sex"],
+  );
+  // `and` / `or` / `not` are logic, so such values must be quoted
+  const r = { relation: "Son or Daughter" };
+  assert.equal(holds('relation=="Son or Daughter"', r), true);
+});
+
+test("syntax errors carry the offending range", () => {
+  syntaxError("", "Empty condition", 0, 0);
+  syntaxError("a ==", "Unexpected end of condition", 4, 4);
+  syntaxError("a==1 and", "Unexpected end of condition", 8, 8);
+  syntaxError("(a==1", "Missing ')'", 0, 1);
+  syntaxError("a==1)", "Unexpected ')'", 4, 5);
+  syntaxError("and a", "Unexpected 'and'", 0, 3);
+  syntaxError("a = 1", "Use '==' to compare", 2, 3);
+  syntaxError('a=="x', "Unterminated string", 3, 5);
+  syntaxError("a == == 1", "Unexpected '=='", 5, 7);
+});
+
+test("unparseable conditions keep content visible", () => {
+  assert.equal(holds("a = 1", { a: "2" }), true);
+  assert.equal(holds("", {}), true);
+});
+
+test("parsed conditions are cached per expression text", () => {
+  assert.equal(parseCondition("a==1 or b"), parseCondition("a==1 or b"));
+  assert.notEqual(parseCondition("a==1 or b"), parseCondition("a==1 or c"));
+});
+
+// #endregion
+
+// #region Membership, emptiness, patterns and meta.
+
+test("in / not in [list]: items are literal text, equal as ==", () => {
+  const v = { dept: "Medicine", tags: ["a", "B"] };
+  assert.equal(holds("dept in [Medicine, surgery]", v), true);
+  assert.equal(holds("dept in [medicine, surgery]", v), false);
+  assert.equal(holds("dept not in [Surgery]", v), true);
+  assert.equal(holds('dept in ["General Medicine", Medicine]', v), true);
+  // Any item of a list value may match
+  assert.equal(holds("tags in [B]", v), true);
+  assert.equal(holds("tags not in [c, d]", v), true);
+  // List items are never field references
+  assert.deepEqual(
+    conditionRefs("dept in [tags, x]").map((r) => r.name),
+    ["dept"],
+  );
+});
+
+test("contains: list items or substrings, ignoring case", () => {
+  const v = { tags: ["a", "B"], notes: "Patient has Fever" };
+  assert.equal(holds("tags contains b", v), true);
+  assert.equal(holds("tags contains c", v), false);
+  assert.equal(holds("notes contains fever", v), true);
+  assert.equal(holds("notes contains 'has fe'", v), true);
+  assert.equal(holds("notes contains cough", v), false);
+});
+
+test("is empty / is not empty", () => {
+  const v = { blank: "  ", list: [], cb: false, notes: "x" };
+  assert.equal(holds("blank is empty", v), true);
+  assert.equal(holds("list is empty", v), true);
+  assert.equal(holds("missing is empty", v), true);
+  // An unchecked checkbox has a value
+  assert.equal(holds("cb is empty", v), false);
+  assert.equal(holds("notes is not empty", v), true);
+  assert.equal(holds("notes IS NOT EMPTY and list is empty", v), true);
+});
+
+test("matches /regex/flags, or a quoted pattern", () => {
+  const v = { code: "5A11.0", tags: ["a", "B"] };
+  assert.equal(holds("code matches /^5a11/i", v), true);
+  assert.equal(holds("code matches /^5a11/", v), false);
+  assert.equal(holds("code matches '^5A'", v), true);
+  assert.equal(holds("tags matches /^b$/i", v), true);
+  // Text inside the pattern is not a reference
+  assert.deepEqual(
+    conditionRefs("code matches /tags/").map((r) => r.name),
+    ["code"],
+  );
+});
+
+test("meta.<key> reads template metadata", () => {
+  const meta = { department: "general_medicine" };
+  assert.equal(holds("meta.department==general_medicine", {}, meta), true);
+  assert.equal(holds("meta.department in [surgery]", {}, meta), false);
+  assert.equal(holds("meta.unit is empty", {}, meta), true);
+  assert.deepEqual(conditionRefs("meta.department=='x'"), []);
+});
+
+test("operator syntax errors carry the offending range", () => {
+  syntaxError(
+    "a matches /[/",
+    "Invalid regular expression: /[/: Unterminated character class",
+    10,
+    13,
+  );
+  syntaxError("a matches 3", "Expected a /regular expression/ but found '3'", 10, 11);
+  syntaxError("a is full", "Expected 'empty' but found 'full'", 5, 9);
+  syntaxError("a in b", "Expected '[' but found 'b'", 5, 6);
+  syntaxError("a in [x y]", "Expected ',' or ']' but found 'y'", 8, 9);
+  syntaxError("a in [x,", "Unexpected end of condition", 8, 8);
+});
+
+// #endregion
+
+// #region Paths and aggregates
+
+const records = {
+  medications: [
+    { name: "Metformin", dosage: { value: "500", unit: "mg" } },
+    { name: "Aspirin", dosage: { value: "75", unit: "mg" } },
+  ],
+  diagnosis: [{ code: "5A11", description: "T2DM" }],
+  chronic_diseases: [
+    { disease: "Diabetes Mellitus", duration: { value: 12, unit: "years" } },
+    { disease: "HTN", duration: { value: 3, unit: "years" } },
+  ],
+  blank: "",
+  single: "7",
+  nums: ["3", "x", "10"],
+};
+
+test("paths read a property of every item", () => {
+  assert.equal(holds("diagnosis.code contains '5A11'", records), true);
+  assert.equal(holds("diagnosis.code == 5A11", records), true);
+  assert.equal(holds("diagnosis.code != 5A12", records), true);
+  assert.equal(
+    holds("chronic_diseases.disease contains 'Diabetes Mellitus'", records),
+    true,
+  );
+  assert.equal(holds("medications.name in [Aspirin]", records), true);
+  assert.equal(holds("medications.dosage.value contains 75", records), true);
+});
+
+test(".count .sum .min .max aggregate a list", () => {
+  assert.equal(holds("medications.count > 0", records), true);
+  assert.equal(holds("medications.count == 2", records), true);
+  assert.equal(holds("chronic_diseases.duration.value.max >= 10", records), true);
+  assert.equal(holds("chronic_diseases.duration.value.min == 3", records), true);
+  assert.equal(holds("chronic_diseases.duration.value.sum == 15", records), true);
+  // Only numbers are summed; min / max of no numbers is empty
+  assert.equal(holds("nums.sum == 13", records), true);
+  assert.equal(holds("nums.max == 10", records), true);
+  assert.equal(holds("blank.max is empty", records), true);
+  // Empty values count as no items, other single values as one
+  assert.equal(holds("blank.count == 0", records), true);
+  assert.equal(holds("single.count == 1", records), true);
+});
+
+test("a path depends on its field id only", () => {
+  assert.deepEqual(
+    conditionRefs("medications.count > 0 and diagnosis.code contains '5A'").map(
+      (r) => [r.name, r.start, r.end],
+    ),
+    [
+      ["medications", 0, 17],
+      ["diagnosis", 26, 40],
+    ],
+  );
+});
+
+// #endregion
+
+// #region Dates and durations
+
+/** Today moved by `value` `unit` (`-10, "years"`), as YYYY-MM-DD. */
+function fromToday(value, unit) {
+  return formatISODate(addDuration(today(), { value, unit }));
+}
+
+test("date - date is a duration in days, compared with duration literals", () => {
+  const v = { adm: "2025-03-01", dis: "2025-03-10" };
+  assert.equal(holds("dis - adm > 7d", v), true);
+  assert.equal(holds("dis - adm > 10d", v), false);
+  assert.equal(holds("dis - adm == 9", v), true);
+  assert.equal(holds("dis - adm >= 1w", v), true);
+  assert.equal(holds("(dis - adm) < 2w", v), true);
+  // A month counts as 30 days and a year as 365
+  assert.equal(holds("1m == 30d", v), true);
+  assert.equal(holds("1y > 11m", v), true);
+});
+
+test("date ± duration moves by days, or calendar months / years", () => {
+  const v = { adm: "2025-03-01" };
+  assert.equal(holds("adm + 1m == 2025-04-01", v), true);
+  assert.equal(holds("adm - 1d == 2025-02-28", v), true);
+  assert.equal(holds("adm + 1y == 2026-03-01", v), true);
+  assert.equal(
+    formatISODate(evaluateExpression("2025-01-31 + 1m", () => undefined)),
+    "2025-02-28",
+  );
+  // Without spaces `today-28d` is one literal word
+  assert.equal(evaluateExpression("today-28d", () => undefined), "today-28d");
+});
+
+test("today and relative dates", () => {
+  const v = {
+    recent: fromToday(-10, "days"),
+    old: fromToday(-40, "days"),
+    blank: "",
+  };
+  assert.equal(holds("recent > today - 28d", v), true);
+  assert.equal(holds("old > today - 28d", v), false);
+  assert.equal(holds("blank > today - 28d", v), false);
+  assert.equal(holds("recent < today", v), true);
+});
+
+test("date functions: age_from, days_between, add_duration", () => {
+  const v = {
+    dob: "2010-06-15",
+    child: fromToday(-10, "years"),
+    adm: "2025-03-01",
+  };
+  assert.equal(holds("age_from(child) < 18", v), true);
+  assert.equal(holds("age_from(child) == 10", v), true);
+  assert.equal(holds("age_from(dob, '2025-06-14') == 14", v), true);
+  assert.equal(holds("age_from(dob, '2025-06-15') == 15", v), true);
+  assert.equal(holds("days_between(adm, '2025-03-10') == 9", v), true);
+  assert.equal(holds("add_duration(adm, '2w') == 2025-03-15", v), true);
+  assert.equal(holds("age_from(missing) is empty", v), true);
+});
+
+test("date syntax errors carry the offending range", () => {
+  syntaxError("foo(a)", "Unknown function 'foo'", 0, 3);
+  syntaxError("age_from(a", "Expected ',' or ')' but found end of condition", 10, 10);
+  syntaxError("a > today -", "Unexpected end of condition", 11, 11);
+});
+
+// #endregion
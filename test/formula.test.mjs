@@ -0,0 +1,274 @@
+// Behavior of computed field formulas (web/js/formula.js).
+// Run with `node --test` from the repository root (Node 20+, no dependencies).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  FormulaSyntaxError,
+  compileFormula,
+  evaluateFormula,
+  formulaRefs,
+  formulaText,
+} from "../web/js/formula.js";
+import { parseAndLintMCTM } from "../web/js/mctm/mctm_linter.js";
+
+/** Evaluate `formula` against the field values in `values`. */
+function calc(formula, values = {}) {
+  return evaluateFormula(formula, (id) => values[id]);
+}
+
+/** Assert `formula` fails to parse with `message` at [start, end). */
+function syntaxError(formula, message, start, end) {
+  assert.throws(
+    () => compileFormula(formula),
+    (e) =>
+      e instanceof FormulaSyntaxError &&
+      e.message === message &&
+      e.start === start &&
+      e.end === end,
+    formula,
+  );
+}
+
+// #region Operators
+
+test("+ adds numbers and numeric text, otherwise joins text", () => {
+  const v = { age: "40", sex: "F", weight: 70 };
+  assert.equal(calc("age + 2", v), 42);
+  assert.equal(calc("'2' + '3'", v), 5);
+  assert.equal(calc("age + '/' + sex", v), "40/F");
+  assert.equal(calc("weight + ' kg'", v), "70 kg");
+});
+
+test("- * / % need numbers", () => {
+  const v = { age: "40", sex: "F" };
+  assert.equal(calc("age * 2", v), 80);
+  assert.equal(calc("age - 50", v), -10);
+  assert.equal(calc("age / 8", v), 5);
+  assert.equal(calc("age % 7", v), 5);
+  assert.equal(calc("-age", v), -40);
+  assert.equal(calc("sex * 2", v), null);
+  assert.equal(calc("-sex", v), null);
+  assert.equal(calc("2 + 3 * 4", v), 14);
+  assert.equal(calc("(2 + 3) * 4", v), 20);
+});
+
+test("division by zero is empty", () => {
+  assert.equal(calc("1 / 0"), null);
+  assert.equal(calc("5 % 0"), null);
+  assert.equal(calc("a / b", { a: "3", b: "0" }), null);
+});
+
+test("empty operands make the result empty", () => {
+  const formula = "patient_age + '/' + patient_sex";
+  assert.equal(calc(formula, { patient_age: "40", patient_sex: "M" }), "40/M");
+  assert.equal(calc(formula, { patient_age: "40", patient_sex: "" }), null);
+  assert.equal(calc(formula, { patient_age: " ", patient_sex: "M" }), null);
+  assert.equal(calc(formula, { patient_sex: "M" }), null);
+  assert.equal(calc("a * 2", { a: null }), null);
+  assert.equal(formulaText(calc(formula, {})), "");
+});
+
+test("comparisons, logic and ?: follow the condition rules", () => {
+  const v = { age: "40", sex: "", smoker: true };
+  assert.equal(calc("age == 40", v), true);
+  assert.equal(calc("age === 40", v), true);
+  assert.equal(calc("age !== 40", v), false);
+  assert.equal(calc("age >= 18 and smoker", v), true);
+  assert.equal(calc("sex || smoker", v), true);
+  assert.equal(calc("not sex", v), true);
+  assert.equal(calc("!smoker", v), false);
+  assert.equal(calc("age > 18 ? 'adult' : 'minor'", v), "adult");
+  assert.equal(calc("sex == '' ? 'unknown' : sex", v), "unknown");
+  // ?: nests to the right
+  assert.equal(calc("age < 1 ? 'a' : age < 18 ? 'b' : 'c'", v), "c");
+});
+
+test("invalid formulas evaluate to empty", () => {
+  assert.equal(calc("round(a,"), null);
+  assert.equal(calc(""), null);
+  assert.equal(calc(undefined), null);
+});
+
+// #endregion
+
+// #region Functions
+
+test("number functions: round, floor, ceil, abs, number", () => {
+  assert.equal(calc("round(2.345, 2)"), 2.35);
+  assert.equal(calc("round(2.5)"), 3);
+  assert.equal(calc("round(x, 1)", { x: "" }), null);
+  assert.equal(calc("floor(2.7)"), 2);
+  assert.equal(calc("ceil('2.1')"), 3);
+  assert.equal(calc("abs(-4)"), 4);
+  assert.equal(calc("number(' 7 ')"), 7);
+  assert.equal(calc("number('7 kg')"), null);
+});
+
+test("text functions: concat, text, if, coalesce", () => {
+  const v = { a: "40", blank: "", sex: "F" };
+  assert.equal(calc("concat(a, blank, ' years')", v), "40 years");
+  assert.equal(calc("text(1.50)", v), "1.5");
+  assert.equal(calc("text(blank)", v), null);
+  assert.equal(calc("if(blank, 'x', 'y')", v), "y");
+  assert.equal(calc("if(sex == 'F', 'x')", v), "x");
+  assert.equal(calc("if(blank, 'x')", v), null);
+  assert.equal(calc("coalesce(blank, missing, sex)", v), "F");
+  assert.equal(calc("coalesce(blank, missing)", v), null);
+});
+
+test("date functions: days_between, add_duration, format_date", () => {
+  const v = { adm: "2025-03-01", dis: "2025-03-10" };
+  assert.equal(calc("days_between(adm, dis)", v), 9);
+  assert.equal(calc("days_between(adm, missing)", v), null);
+  assert.equal(calc("add_duration(adm, '7d')", v), "2025-03-08");
+  assert.equal(calc("add_duration(adm, '1m')", v), "2025-04-01");
+  assert.equal(calc("format_date(adm)", v), "01/03/2025");
+  assert.equal(calc("format_date(adm, 'd MMM yyyy')", v), "1 Mar 2025");
+});
+
+// #endregion
+
+// #region Aggregates and filter
+
+const meds = [
+  { name: "A", dose: "10", active: true },
+  { name: "", dose: "", active: "" },
+  { name: "B", dose: "5", active: false },
+  { name: "C", dose: "x", active: true },
+];
+
+test("aggregates skip blank rows and non-numeric values", () => {
+  const v = { meds, tags: ["a", "", "b"], n: 3 };
+  assert.deepEqual(calc("meds.dose", v), ["10", "5", "x"]);
+  assert.equal(calc("count(meds)", v), 3);
+  assert.equal(calc("count(tags)", v), 2);
+  assert.equal(calc("sum(meds.dose)", v), 15);
+  assert.equal(calc("sum(n, 2, meds.dose)", v), 20);
+  assert.equal(calc("avg(meds.dose)", v), 7.5);
+  assert.equal(calc("min(meds.dose)", v), 5);
+  assert.equal(calc("max(meds.dose, 20)", v), 20);
+  assert.equal(calc("first(meds.name)", v), "A");
+  assert.equal(calc("last(meds).name", v), "C");
+  assert.equal(calc("join(meds.name)", v), "A, B, C");
+  assert.equal(calc("join(tags, '; ')", v), "a; b");
+});
+
+test("aggregates of a missing list", () => {
+  assert.equal(calc("count(missing)"), 0);
+  assert.equal(calc("sum(missing)"), 0);
+  assert.equal(calc("avg(missing)"), null);
+  assert.equal(calc("max(missing)"), null);
+  assert.equal(calc("first(missing)"), null);
+  assert.equal(calc("join(missing)"), null);
+});
+
+test("filter evaluates its condition per item", () => {
+  const bp = [{ sys: "120" }, { sys: "140" }];
+  const v = { meds, tags: ["a", "", "b"], bp };
+  assert.equal(calc("count(filter(meds, active))", v), 2);
+  assert.equal(calc("join(filter(meds, active).name)", v), "A, C");
+  assert.equal(calc("join(filter(tags, item != 'a'))", v), "b");
+  assert.equal(calc("filter(meds, name == 'Z')", v), null);
+  // A field the item has no property for is read as usual
+  assert.equal(calc("count(filter(bp, sys > limit))", { ...v, limit: 130 }), 1);
+});
+
+test("item properties shadow field ids inside filter", () => {
+  const v = { meds, name: "B", dose: "" };
+  assert.equal(calc("join(filter(meds, name == 'B').name)", v), "B");
+  assert.equal(calc("count(filter(meds, dose))", v), 3);
+  // ... and only inside it
+  assert.equal(calc("name", v), "B");
+});
+
+test("formulaRefs marks names in the filter condition optional", () => {
+  assert.deepEqual(
+    formulaRefs("count(filter(meds, dose > limit))").map(
+      ({ name, optional }) => ({ name, optional }),
+    ),
+    [
+      { name: "meds", optional: false },
+      { name: "dose", optional: true },
+      { name: "limit", optional: true },
+    ],
+  );
+  syntaxError("filter(meds)", "filter() takes 2 arguments, got 1", 0, 12);
+});
+
+// #endregion
+
+// #region Syntax errors
+
+test("tokenizer errors carry the offending range", () => {
+  syntaxError("'abc", "Unterminated string", 0, 4);
+  syntaxError("12abc", "Invalid number '12a'", 0, 3);
+  syntaxError("a # b", "Unexpected character '#'", 2, 3);
+});
+
+test("parser errors carry the offending range", () => {
+  syntaxError("", "Empty formula", 0, 0);
+  syntaxError("1 +", "Expected a value, found end of formula", 3, 4);
+  syntaxError("a b", "Expected an operator, found 'b'", 2, 3);
+  syntaxError("(1", "Expected ')', found end of formula", 2, 3);
+  syntaxError("x ? 1", "Expected ':', found end of formula", 5, 6);
+  syntaxError("a.", "Expected a property name, found end of formula", 2, 3);
+  syntaxError("a.b(1)", "Only built-in functions can be called", 0, 3);
+});
+
+test("calls are checked against the built-in functions", () => {
+  syntaxError("foo(1)", "Unknown function 'foo'", 0, 3);
+  syntaxError("toString()", "Unknown function 'toString'", 0, 8);
+  syntaxError("round()", "round() takes 1 to 2 arguments, got 0", 0, 7);
+  syntaxError("round(1, 2, 3)", "round() takes 1 to 2 arguments, got 3", 0, 14);
+  syntaxError("abs(1, 2)", "abs() takes 1 argument, got 2", 0, 9);
+  syntaxError("min()", "min() takes at least 1 argument, got 0", 0, 5);
+  syntaxError("concat(1,", "Expected a value, found end of formula", 9, 10);
+});
+
+test("formulaRefs lists field references in source order", () => {
+  assert.deepEqual(formulaRefs("round(bmi(weight, height), 1) + x.code"), [
+    { name: "weight", start: 10, end: 16, optional: false },
+    { name: "height", start: 18, end: 24, optional: false },
+    { name: "x", start: 32, end: 38, optional: false },
+  ]);
+  assert.deepEqual(formulaRefs("'weight' + 1"), []);
+});
+
+test("the linter reports formula errors at their position", () => {
+  const source = [
+    "> S",
+    '@number id:a label:"A" @',
+    '@computed id:c label:"C" formula:"round(a, 1" @',
+    '@computed id:d label:"D" formula:"a + b" @',
+  ].join("\n");
+  const diagnostics = parseAndLintMCTM(source).diagnostics.filter((d) =>
+    d.rule.includes("formula"),
+  );
+  assert.deepEqual(
+    diagnostics.map(({ rule, message, line, column }) => ({
+      rule,
+      message,
+      line,
+      column,
+    })),
+    [
+      {
+        rule: "invalid-formula",
+        message:
+          "Invalid formula for c: Expected ',' or ')', found end of formula",
+        line: 3,
+        column: 45,
+      },
+      {
+        rule: "unknown-formula-ref",
+        message: "Formula for d references unknown field 'b'",
+        line: 4,
+        column: 39,
+      },
+    ],
+  );
+});
+
+// #endregion
@@ -0,0 +1,47 @@
+// Dependency graph of web/js/mctm/mctm_graph.js.
+// Run with `node --test` from the repository root (Node 20+, no dependencies).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildDependencyGraph } from "../web/js/mctm/mctm_graph.js";
+import { parseMCTM } from "../web/js/mctm/mctm_parser.js";
+
+/** `reader -prop-> id` for every edge of the graph of `source`. */
+function edgesOf(source) {
+  return buildDependencyGraph(parseMCTM(source).ast).edges.map(
+    (e) => `${e.from} -${e.prop}-> ${e.to}`,
+  );
+}
+
+test("one edge per reader, referenced id and prop", () => {
+  const source = [
+    "> S id:s",
+    '@number id:a label:"A" @',
+    '@text id:b label:"B" if:"a > 1 or a < -1" required_if:"a == 0" @',
+    '@computed id:c label:"C" formula:"a + a * b" @',
+  ].join("\n");
+  assert.deepEqual(edgesOf(source), [
+    "b -if-> a",
+    "b -required_if-> a",
+    "c -formula-> a",
+    "c -formula-> b",
+  ]);
+});
+
+test("readers sharing an id keep their own edges", () => {
+  const source = [
+    "> S id:s",
+    '@number id:a label:"A" @',
+    '@text id:x label:"X" if:a>1 @',
+    '@text id:x label:"X again" if:a>1 @',
+  ].join("\n");
+  const edges = buildDependencyGraph(parseMCTM(source).ast).edges;
+  assert.deepEqual(
+    edges.map((e) => [e.from, e.prop, e.to, e.node.label]),
+    [
+      ["x", "if", "a", "X"],
+      ["x", "if", "a", "X again"],
+    ],
+  );
+});
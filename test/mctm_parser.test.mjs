@@ -0,0 +1,95 @@
+// Include expansion in web/js/mctm/mctm_parser.js.
+// Run with `node --test` from the repository root (Node 20+, no dependencies).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseMCTMResolved } from "../web/js/mctm/mctm_parser.js";
+
+/** Resolve `source` with its includes served from `templates` (path -> text). */
+async function resolve(source, templates) {
+  const errors = [];
+  const { ast } = await parseMCTMResolved(source, {
+    baseURL: "http://templates.test/",
+    fetchImpl: async (url) => {
+      const text = templates[new URL(url).pathname.slice(1)];
+      return text === undefined
+        ? { ok: false, status: 404, statusText: "Not Found" }
+        : { ok: true, text: async () => text };
+    },
+    onError: (message) => errors.push(message),
+  });
+  assert.deepEqual(errors, []);
+  return ast;
+}
+
+/** The fields of `ast` by id. */
+function fieldsById(ast) {
+  const fields = {};
+  const walk = (nodes) =>
+    nodes.forEach((n) => {
+      if (n.type === "field") fields[n.id] = n;
+      walk(n.children || []);
+    });
+  walk(ast);
+  return fields;
+}
+
+const STATUS = [
+  "> Status id:status_section",
+  '@select id:status label:"Status" options:"active,code" @',
+  '@text id:active label:"Active" @',
+  '@text id:code label:"Code" if:"status matches /^active|code$/i and status in [active, code]" @',
+  '@text id:note label:"Note" if:"status==active and not (code is empty)" readonly_if:"status == \'code\'" @',
+  '@computed id:summary label:"Summary" formula:"status + \' code \' + code.length" @',
+  '@computed id:coded label:"Coded" formula:"count(filter(rows, code))" @',
+  '@text id:copy label:"Copy" default:=code @',
+].join("\n");
+
+test("prefix renames field references, not regex, list or literal values", async () => {
+  const ast = await resolve(
+    '> Main\n@include template:"status.mctm" id:status_section prefix:adm_ @',
+    { "status.mctm": STATUS },
+  );
+  const fields = fieldsById(ast);
+  assert.deepEqual(Object.keys(fields), [
+    "adm_status",
+    "adm_active",
+    "adm_code",
+    "adm_note",
+    "adm_summary",
+    "adm_coded",
+    "adm_copy",
+  ]);
+  assert.equal(
+    fields.adm_code.if,
+    "adm_status matches /^active|code$/i and adm_status in [active, code]",
+  );
+  assert.equal(
+    fields.adm_note.if,
+    "adm_status==active and not (adm_code is empty)",
+  );
+  assert.equal(fields.adm_note.readonly_if, "adm_status == 'code'");
+  assert.equal(
+    fields.adm_summary.formula,
+    "adm_status + ' code ' + adm_code.length",
+  );
+  assert.equal(fields.adm_coded.formula, "count(filter(rows, adm_code))");
+  assert.equal(fields.adm_copy.default, "=adm_code");
+});
+
+test("prefix leaves references outside the subtree and invalid expressions", async () => {
+  const part = [
+    "> Part id:part",
+    '@text id:a label:"A" if:"age > 18 and a is empty" @',
+    '@computed id:b label:"B" formula:"a + (" @',
+  ].join("\n");
+  const fields = fieldsById(
+    await resolve(
+      '> Main\n@number id:age label:"Age" @\n@include template:"part.mctm" id:part prefix:p_ @',
+      { "part.mctm": part },
+    ),
+  );
+  assert.equal(fields.p_a.if, "age > 18 and p_a is empty");
+  assert.equal(fields.p_b.formula, "a + (");
+});
@@ -0,0 +1,141 @@
+// Round trips through web/js/mctm/mctm_serializer.js.
+// Run with `node --test` from the repository root (Node 20+, no dependencies).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { parseMCTM } from "../web/js/mctm/mctm_parser.js";
+import {
+  formatMCTM,
+  serializeMCTM,
+} from "../web/js/mctm/mctm_serializer.js";
+
+const BASE = readFileSync(
+  new URL("../web/templates/base.mctm", import.meta.url),
+  "utf8",
+);
+
+// Macros, overrides, rules and expression defaults
+const FEATURES = `@mctm 1.0
+---
+template_id: features
+version: 1
+---
+
+#overrides
+// Demographics tweaks
+patient_name.label: "Full name"
+patient_pin: 110001
+habits.pdf.hidden: true
+#remove notes
+#move pulse before:patient_name
+#insert after:pulse
+@number id:spo2 label:SpO2 unit:% @
+#endinsert
+#end
+
+@define habit params:"[id, label, truevalue?]"
+@checkbox id:{{id}}cb label:"{{label}}" truevalue:"{{truevalue}}" @
+{ "" id:{{id}} if:{{id}}cb==true layout:hstack
+  @number id:{{id}}_years label:"Duration (years)" @
+}
+@enddefine
+
+> Demographics id:demo
+@text label:"Name" id:patient_name required pdf.hidden:true @
+@number id:pulse unit:bpm vital:pulse warn_max:150 label:Pulse @
+@date id:date_admission label:"Admitted" default:=today() required @
+@date id:date_review label:"Review" default:"=date_admission + 7d" @
+@text id:patient_pin default:"==A" label:PIN @
+@rule check:"date_review >= date_admission" message:"Review precedes admission" level:warning @
+
+> "Personal History" optional default:false
+@use habit id:alcohol label:Alcohol truevalue:"Known Alcoholic" @
+@text id:notes label:Notes multiline if:"patient_name matches /^a/i" @
+`;
+
+/** `value` without source positions (`line`, `loc`, `refLoc`), recursively. */
+function withoutPositions(value) {
+  if (Array.isArray(value)) return value.map(withoutPositions);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  Object.keys(value).forEach((key) => {
+    if (!/^(line|loc|\w+Loc)$/.test(key))
+      out[key] = withoutPositions(value[key]);
+  });
+  return out;
+}
+
+/** The parts of a parse result the serializer writes back. */
+function parsed(source, options) {
+  const { ast, meta, overrides, diagnostics } = parseMCTM(source, options);
+  assert.deepEqual(
+    diagnostics.filter((d) => d.level === "error"),
+    [],
+    "parses without errors",
+  );
+  return withoutPositions({ ast, meta, overrides });
+}
+
+/** Assert parse -> serialize -> parse gives back the same template. */
+function assertRoundTrip(source) {
+  const first = parseMCTM(source);
+  const text = serializeMCTM(first.ast, first.meta, first.overrides);
+  assert.deepEqual(parsed(text), parsed(source));
+  return text;
+}
+
+test("base.mctm survives parse -> serialize -> parse", () => {
+  assertRoundTrip(BASE);
+});
+
+test("macros, overrides, rules and expression defaults survive a round trip", () => {
+  assertRoundTrip(FEATURES);
+});
+
+test("formatMCTM keeps the template and is stable", () => {
+  for (const source of [BASE, FEATURES]) {
+    const formatted = formatMCTM(source);
+    assert.deepEqual(parsed(formatted), parsed(source));
+    assert.deepEqual(
+      parsed(formatted, { preserve: true }),
+      parsed(source, { preserve: true }),
+    );
+    assert.equal(formatMCTM(formatted), formatted);
+  }
+});
+
+test("formatMCTM keeps props in source order", () => {
+  const lines = formatMCTM(FEATURES).split("\n");
+  assert.ok(
+    lines.includes(
+      "@text label:Name id:patient_name required pdf.hidden:true @",
+    ),
+  );
+  assert.ok(
+    lines.includes(
+      "@number id:pulse unit:bpm vital:pulse warn_max:150 label:Pulse @",
+    ),
+  );
+  assert.ok(
+    lines.includes(
+      '@rule check:"date_review >= date_admission" message:"Review precedes admission" level:warning @',
+    ),
+  );
+});
+
+test("section titles are quoted only when they must be", () => {
+  const lines = formatMCTM(FEATURES).split("\n");
+  assert.ok(lines.includes("> Demographics id:demo"));
+  // A bare title would take in the flag that follows it
+  assert.ok(lines.includes('> "Personal History" optional default:false'));
+  assert.equal(
+    serializeMCTM([
+      { type: "section", title: "Final Diagnosis", children: [] },
+      { type: "section", title: "Notes: plan id:x", children: [] },
+      { type: "section", title: '"Quoted"', children: [] },
+    ]),
+    '> Final Diagnosis\n\n> "Notes: plan id:x"\n\n> \'"Quoted"\'\n',
+  );
+});
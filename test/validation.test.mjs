@@ -0,0 +1,102 @@
+// Field validators of web/js/validation.js, on minimal stand-ins for the form
+// rows (no DOM needed).
+// Run with `node --test` from the repository root (Node 20+, no dependencies).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createFieldValidator,
+  revealField,
+  softLimits,
+} from "../web/js/validation.js";
+
+/** A form element with `classes` under `parent`, as the validators read it. */
+function element(classes = [], parent = null, inert = false) {
+  const el = {
+    parentElement: parent,
+    inert,
+    classList: { contains: (name) => classes.includes(name) },
+    // Class selectors and `[inert]` only
+    closest(selector) {
+      for (let node = el; node; node = node.parentElement) {
+        const match =
+          selector === "[inert]"
+            ? node.inert
+            : node.classList.contains(selector.slice(1));
+        if (match) return node;
+      }
+      return null;
+    },
+    scrollIntoView() {},
+  };
+  return el;
+}
+
+/** Validate a field with `value` in `row`. */
+function check(node, row, value) {
+  return createFieldValidator(node, row, () => value).validate();
+}
+
+test("a required field left empty is an error", () => {
+  const row = element(["form-row"]);
+  assert.deepEqual(check({ id: "a", required: true }, row, ""), {
+    message: "Required",
+    control: row,
+  });
+  assert.equal(check({ id: "a", required: true }, row, "x"), null);
+  assert.equal(check({ id: "a" }, row, ""), null);
+  const group = element(["group", "required-on"]);
+  assert.equal(check({ id: "a" }, element([], group), "").message, "Required");
+});
+
+test("hidden and switched-off fields are not checked", () => {
+  const node = { id: "a", required: true };
+  assert.equal(check(node, element(["form-row", "hidden"]), ""), null);
+  const section = element(["section", "disabled"]);
+  assert.equal(check(node, element(["form-row"], section), ""), null);
+});
+
+test("a locked required field left empty is a warning", () => {
+  const node = { id: "a", required: true };
+  const row = element(["form-row", "readonly"], null, true);
+  assert.deepEqual(check(node, row, ""), {
+    message: "Locked but empty",
+    level: "warning",
+    locked: true,
+    control: row,
+  });
+  assert.equal(check(node, row, "x"), null);
+  // Other checks are skipped while locked
+  const failing = createFieldValidator(node, row, () => "x", {
+    validate: () => ({ message: "Invalid" }),
+  });
+  assert.equal(failing.validate(), null);
+  const group = element(["group", "readonly", "required-on"], null, true);
+  assert.equal(
+    check({ id: "b" }, element(["form-row"], group), "").message,
+    "Locked but empty",
+  );
+});
+
+test("revealField scrolls to a locked field without focusing it", () => {
+  const focused = [];
+  const group = element(["group", "readonly"], null, true);
+  revealField(element(["form-row"], group), () => focused.push("locked"));
+  revealField(element(["form-row"]), () => focused.push("open"));
+  assert.deepEqual(focused, ["open"]);
+});
+
+test("soft limits default to the plausible range of the field's vital", () => {
+  assert.deepEqual(softLimits({ id: "pulse" }), { min: 30, max: 200 });
+  assert.deepEqual(softLimits({ id: "t", vital: "temperature", unit: "°F" }), {
+    min: 93,
+    max: 108,
+  });
+  assert.deepEqual(softLimits({ id: "pulse", warn_max: "150" }), {
+    min: null,
+    max: 150,
+  });
+  assert.equal(softLimits({ id: "weight", unit: "lb" }), null);
+  assert.equal(softLimits({ id: "height" }), null);
+});
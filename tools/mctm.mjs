@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+// Headless MCTM tooling.
+//
+// lint (default): runs parseMCTMResolved + lintMCTM over one or more .mctm files,
+// resolving @include / @extends from the local filesystem, and exits non-zero
+// when any error is found. Problems inside an included or extended template are
+// reported against that template's file (`file` in JSON / SARIF output).
+// fmt: rewrites files in canonical form (formatMCTM).
+// bundle: resolves every @include / @extends of one template into a single
+// self-contained file (bundleMCTM).
+//
+// Usage:
+//   node tools/mctm.mjs [lint] [options] <file.mctm...>
+//   node tools/mctm.mjs fmt [--check | --write] <file.mctm...>
+//   node tools/mctm.mjs bundle [--format mctm|json] [-o <out>] <file.mctm>
+//
+// Lint options:
+//   --format <text|json|sarif>  Output format (default: text)
+//   --base <dir>                Directory @include paths resolve against
+//                               (default: the directory of each linted file)
+//   --quiet                     Report errors only
+// Fmt options:
+//   --check                     List files that are not formatted; change nothing
+//   --write                     Rewrite files in place (default: print to stdout)
+// Bundle options:
+//   --format <mctm|json>        Output format (default: mctm)
+//   --base <dir>                As for lint
+//   -o, --output <file>         Write the bundle to a file (default: stdout)
+//   -h, --help                  Show usage
+//
+// Exit codes: 0 = success, 1 = lint errors found / files need formatting /
+// includes that could not be bundled, 2 = usage, I/O or parse failure.
+
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL, fileURLToPath } from "node:url";
+
+import { parseMCTMResolved } from "../web/js/mctm/mctm_parser.js";
+import { lintMCTM } from "../web/js/mctm/mctm_linter.js";
+import { formatMCTM } from "../web/js/mctm/mctm_serializer.js";
+import {
+  bundleMCTM,
+  BUNDLE_OUTPUT_FORMATS,
+} from "../web/js/mctm/mctm_bundler.js";
+import {
+  MCTM_RULES,
+  createDiagnostic,
+  compareDiagnostics,
+} from "../web/js/mctm/mctm_diagnostics.js";
+
+const FORMATS = ["text", "json", "sarif"];
+const COMMANDS = ["lint", "fmt", "bundle"];
+
+const USAGE = `Usage: node tools/mctm.mjs [lint] [options] <file.mctm...>
+       node tools/mctm.mjs fmt [--check | --write] <file.mctm...>
+       node tools/mctm.mjs bundle [--format mctm|json] [-o <out>] <file.mctm>
+
+Lint options:
+  --format <text|json|sarif>  Output format (default: text)
+  --base <dir>                Directory @include paths resolve against
+                              (default: the directory of each linted file)
+  --quiet                     Report errors only
+
+Fmt options:
+  --check                     List files that are not formatted; change nothing
+  --write                     Rewrite files in place (default: print to stdout)
+
+Bundle options:
+  --format <mctm|json>        Output format (default: mctm)
+  --base <dir>                As for lint
+  -o, --output <file>         Write the bundle to a file (default: stdout)
+
+  -h, --help                  Show this help`;
+
+function parseArgs(argv) {
+  const command = COMMANDS.includes(argv[0]) ? argv.shift() : "lint";
+  const opts = {
+    format: command === "bundle" ? "mctm" : "text",
+    base: null,
+    output: null,
+    quiet: false,
+    check: false,
+    write: false,
+    help: false,
+  };
+  const files = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--quiet") opts.quiet = true;
+    else if (a === "--check" && command === "fmt") opts.check = true;
+    else if (a === "--write" && command === "fmt") opts.write = true;
+    else if (a === "--format" || a.startsWith("--format=")) {
+      opts.format = a.includes("=") ? a.slice(a.indexOf("=") + 1) : argv[++i];
+    } else if (
+      command === "bundle" &&
+      (a === "-o" || a === "--output" || a.startsWith("--output="))
+    ) {
+      opts.output = a.includes("=") ? a.slice(a.indexOf("=") + 1) : argv[++i];
+    } else if (a === "--base" || a.startsWith("--base=")) {
+      opts.base = a.includes("=") ? a.slice(a.indexOf("=") + 1) : argv[++i];
+    } else if (a.startsWith("-") && a !== "-") {
+      throw new Error(`Unknown option '${a}'`);
+    } else files.push(a);
+  }
+  const formats = command === "bundle" ? BUNDLE_OUTPUT_FORMATS : FORMATS;
+  if (!formats.includes(opts.format))
+    throw new Error(
+      `Unknown format '${opts.format}' (expected ${formats.join(", ")})`
+    );
+  if (command === "bundle" && files.length > 1)
+    throw new Error("bundle takes a single template");
+  if (opts.check && opts.write)
+    throw new Error("--check and --write cannot be combined");
+  return { command, opts, files };
+}
+
+// Minimal fetch replacement for file: URLs so include resolution works offline.
+async function fileFetch(url) {
+  const href = typeof url === "string" ? url : String(url);
+  try {
+    const filePath = href.startsWith("file:") ? fileURLToPath(href) : href;
+    const txt = await readFile(filePath, "utf8");
+    return { ok: true, status: 200, statusText: "OK", text: async () => txt };
+  } catch (e) {
+    const status = e && e.code === "ENOENT" ? 404 : 500;
+    return {
+      ok: false,
+      status,
+      statusText: e && e.code === "ENOENT" ? "Not Found" : String(e.message),
+      text: async () => "",
+    };
+  }
+}
+
+// onError receives the include node, the @extends directive or an override entry.
+function resolveErrorRule(node) {
+  if (node && node.op) return "invalid-override";
+  if (node && node.type === "extends") return "extends-unresolved";
+  return "include-unresolved";
+}
+
+// Template names recorded as `loc.source` while resolving
+function collectSources(nodes, into = new Set()) {
+  (nodes || []).forEach((n) => {
+    if (!n) return;
+    if (n.loc && n.loc.source !== undefined) into.add(n.loc.source);
+    collectSources(n.children, into);
+  });
+  return into;
+}
+
+async function lintFile(file, opts) {
+  const abs = path.resolve(file);
+  const source = await readFile(abs, "utf8");
+  const baseDir = opts.base ? path.resolve(opts.base) : path.dirname(abs);
+  const baseURL = pathToFileURL(baseDir + path.sep).href;
+  const includeDiagnostics = [];
+  const parsed = await parseMCTMResolved(source, {
+    baseURL,
+    fetchImpl: fileFetch,
+    onError: (message, node) =>
+      includeDiagnostics.push(
+        createDiagnostic(resolveErrorRule(node), message, {
+          line: (node && node.line) || 1,
+          ...(node && node.loc),
+        })
+      ),
+  });
+  // Included / extended templates, by the name nodes record (resolved like
+  // the parser does, against the base URL)
+  const sourcePaths = new Map();
+  const sources = {};
+  for (const name of collectSources(parsed.ast)) {
+    try {
+      const filePath = fileURLToPath(new URL(name, baseURL));
+      sourcePaths.set(name, filePath);
+      sources[name] = await readFile(filePath, "utf8");
+    } catch {
+      // Unreadable: positions stay those recorded by the parser
+    }
+  }
+  // Report each diagnostic against the file that owns its range
+  const fileOf = (d) => {
+    if (d.source === undefined) return file;
+    let filePath = sourcePaths.get(d.source);
+    try {
+      filePath = filePath || fileURLToPath(new URL(d.source, baseURL));
+    } catch {
+      return d.source;
+    }
+    // Named like the linted file: absolute or relative to the working directory
+    return path.isAbsolute(file)
+      ? filePath
+      : path.relative(process.cwd(), filePath);
+  };
+  const diagnostics = [
+    ...includeDiagnostics,
+    ...lintMCTM({
+      source,
+      ast: parsed.ast,
+      meta: parsed.meta,
+      overrides: parsed.overrides,
+      diagnostics: parsed.diagnostics,
+      sources,
+    }),
+  ]
+    .filter((d) => !opts.quiet || d.level === "error")
+    .map((d) => ({ ...d, file: fileOf(d) }))
+    // The linted file first, then each template it pulls in
+    .sort(
+      (a, b) =>
+        (a.file !== file) - (b.file !== file) ||
+        (a.file < b.file ? -1 : a.file > b.file ? 1 : 0) ||
+        compareDiagnostics(a, b)
+    );
+  return {
+    file,
+    diagnostics,
+    errorCount: diagnostics.filter((d) => d.level === "error").length,
+    warningCount: diagnostics.filter((d) => d.level !== "error").length,
+  };
+}
+
+// #region Reporters
+
+function formatText(results) {
+  const out = [];
+  let errors = 0;
+  let warnings = 0;
+  results.forEach((r) => {
+    errors += r.errorCount;
+    warnings += r.warningCount;
+    if (!r.diagnostics.length) return;
+    let heading = null;
+    r.diagnostics.forEach((d) => {
+      if (d.file !== heading) {
+        if (heading !== null) out.push("");
+        heading = d.file;
+        out.push(d.file === r.file ? r.file : `${d.file} (via ${r.file})`);
+      }
+      const pos = `${d.line}:${d.column || 1}`;
+      out.push(
+        `  ${pos.padEnd(8)}  ${d.level.padEnd(7)}  ${d.message}  ${d.code} ${d.rule}`
+      );
+      (d.fixes || []).forEach((f) => out.push(`            fix: ${f.title}`));
+    });
+    out.push("");
+  });
+  out.push(
+    `${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"} in ${results.length} file${results.length === 1 ? "" : "s"}`
+  );
+  return out.join("\n");
+}
+
+function formatJson(results) {
+  return JSON.stringify(results, null, 2);
+}
+
+function sarifRegion(range) {
+  return {
+    startLine: range.line || 1,
+    startColumn: range.column || 1,
+    endLine: range.endLine || range.line || 1,
+    endColumn: range.endColumn || range.column || 1,
+  };
+}
+
+function formatSarif(results) {
+  const sarifResults = [];
+  const ruleNames = Object.keys(MCTM_RULES);
+  results.forEach((r) => {
+    r.diagnostics.forEach((d) => {
+      const uri = path
+        .relative(process.cwd(), path.resolve(d.file || r.file))
+        .split(path.sep)
+        .join("/");
+      const result = {
+        ruleId: d.code,
+        ruleIndex: ruleNames.indexOf(d.rule),
+        level: d.level === "error" ? "error" : "warning",
+        message: { text: d.message },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri },
+              region: sarifRegion(d),
+            },
+          },
+        ],
+      };
+      if (d.fixes && d.fixes.length)
+        result.fixes = d.fixes.map((f) => ({
+          description: { text: f.title },
+          artifactChanges: [
+            {
+              artifactLocation: { uri },
+              replacements: f.edits.map((e) => ({
+                deletedRegion: sarifRegion(e),
+                insertedContent: { text: e.text },
+              })),
+            },
+          ],
+        }));
+      sarifResults.push(result);
+    });
+  });
+  return JSON.stringify(
+    {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: "mctm-lint",
+              informationUri: "https://github.com/ShankarBUS/dischargen",
+              rules: ruleNames.map((name) => ({
+                id: MCTM_RULES[name].code,
+                name,
+                shortDescription: { text: MCTM_RULES[name].description },
+                defaultConfiguration: {
+                  level: MCTM_RULES[name].level === "error" ? "error" : "warning",
+                },
+              })),
+            },
+          },
+          results: sarifResults,
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
+
+// #endregion
+
+// Prints, checks or rewrites each file; a file with structural errors aborts with 2.
+async function formatFiles(files, opts) {
+  let unformatted = 0;
+  for (const file of files) {
+    let source;
+    let formatted;
+    try {
+      source = await readFile(file, "utf8");
+      formatted = formatMCTM(source);
+    } catch (e) {
+      console.error(`${file}: ${e.message}`);
+      return 2;
+    }
+    if (opts.check) {
+      if (formatted !== source) {
+        unformatted++;
+        console.log(file);
+      }
+    } else if (opts.write) {
+      if (formatted !== source) await writeFile(file, formatted, "utf8");
+    } else process.stdout.write(formatted);
+  }
+  return unformatted ? 1 : 0;
+}
+
+// Bundles one template; unresolved includes are reported and make the exit code 1.
+async function bundleFile(file, opts) {
+  const abs = path.resolve(file);
+  const baseDir = opts.base ? path.resolve(opts.base) : path.dirname(abs);
+  let failures = 0;
+  let bundle;
+  try {
+    bundle = await bundleMCTM(await readFile(abs, "utf8"), {
+      format: opts.format,
+      sourceName: path.relative(baseDir, abs).split(path.sep).join("/"),
+      baseURL: pathToFileURL(baseDir + path.sep).href,
+      fetchImpl: fileFetch,
+      onError: (message, node) => {
+        failures++;
+        console.error(`${file}:${(node && node.line) || 1}: ${message}`);
+      },
+    });
+  } catch (e) {
+    console.error(`${file}: ${e.message}`);
+    return 2;
+  }
+  bundle.diagnostics
+    .filter((d) => d.level === "error")
+    .forEach((d) => {
+      failures++;
+      console.error(`${file}:${d.line}: ${d.message}`);
+    });
+  if (opts.output) await writeFile(opts.output, bundle.text, "utf8");
+  else process.stdout.write(bundle.text);
+  return failures ? 1 : 0;
+}
+
+async function main() {
+  let parsedArgs;
+  try {
+    parsedArgs = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  const { command, opts, files } = parsedArgs;
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!files.length) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (command === "fmt") return formatFiles(files, opts);
+  if (command === "bundle") return bundleFile(files[0], opts);
+
+  const results = [];
+  for (const file of files) {
+    try {
+      results.push(await lintFile(file, opts));
+    } catch (e) {
+      console.error(`${file}: ${e.message}`);
+      return 2;
+    }
+  }
+
+  const report =
+    opts.format === "json"
+      ? formatJson(results)
+      : opts.format === "sarif"
+        ? formatSarif(results)
+        : formatText(results);
+  console.log(report);
+  return results.some((r) => r.errorCount > 0) ? 1 : 0;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (e) => {
+    console.error(e);
+    process.exitCode = 2;
+  }
+);
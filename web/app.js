@@ -1,10 +1,24 @@
 import { parseMCTMResolved } from "./js/mctm/mctm_parser.js";
 import { lintMCTM } from "./js/mctm/mctm_linter.js";
-import { validateAll } from "./js/validation.js";
-import { renderUI, reevaluateConditions, evaluateComputedAll, getFieldValueFromRef } from "./js/ui_renderer.js";
+import { buildDependencyGraph } from "./js/mctm/mctm_graph.js";
+import {
+    evaluateRules,
+    checkField,
+    collectValidationIssues,
+    refreshFieldValidators,
+    revealField,
+} from "./js/validation.js";
+import {
+    renderUI,
+    reevaluateConditions,
+    getFieldValue,
+    getFieldValueFromRef,
+    applyExpressionDefaults,
+} from "./js/ui_renderer.js";
 import { renderPDF } from "./js/pdf_renderer.js";
 import { loadDepartments } from "./js/search_handler.js";
 import { state, resetStateForTemplate } from "./js/core/state.js";
+import { createFieldStore } from "./js/core/reactive.js";
 import { initTheme } from "./js/services/theme.js";
 
 // #region DOM References
@@ -38,6 +52,10 @@ const jsonPreview = document.getElementById("jsonPreview");
 const copyJsonBtn = document.getElementById("copyJsonBtn");
 const downloadJsonBtn = document.getElementById("downloadJsonBtn");
 
+const validationSummary = document.getElementById("validationSummary");
+const validationReport = document.getElementById("validationReport");
+const exportDraftBtn = document.getElementById("exportDraftBtn");
+
 const pdfPreviewBtn = document.getElementById("pdfPreviewBtn");
 const pdfPrintBtn = document.getElementById("pdfPrintBtn");
 const pdfDownloadBtn = document.getElementById("pdfDownloadBtn");
@@ -87,35 +105,48 @@ function applyPendingPin() {
 }
 
 async function loadTemplateText(text) {
+    // Save pending edits of the previous form before it is cleared
+    fieldStore.flush();
     formContainer.innerHTML = "";
     resetStateForTemplate();
     const parsed = await parseMCTMResolved(text, {
-        onError: (msg) => console.warn("[include]", msg),
+        onError: (msg, node) => {
+            let tag = "include";
+            if (node && node.op) tag = "overrides";
+            else if (node && node.type === "extends") tag = "extends";
+            console.warn(`[${tag}]`, msg);
+        },
     });
     state.meta = parsed.meta || {};
     state.ast = parsed.ast || [];
-    lintAndReport(text);
+    state.graph = buildDependencyGraph(state.ast);
+    lintAndReport(text, parsed);
     renderUI(formContainer, state);
     buildSectionNavigationFromState();
     highlightActiveSection();
-    restoreAutosave();
-    reevaluateConditions(formContainer, state);
-    evaluateComputedAll(state);
+    fieldStore.reset();
+    const restored = restoreAutosave();
+    applyExpressionDefaults(state, restored);
+    fieldStore.refreshAll();
+    checkRules();
 }
 
-function lintAndReport(sourceText) {
+function lintAndReport(sourceText, parsed) {
     try {
         const diagnostics = lintMCTM({
             source: sourceText,
             ast: state.ast,
             meta: state.meta,
+            overrides: parsed.overrides,
+            diagnostics: parsed.diagnostics,
+            graph: state.graph,
         });
         state.diagnostics = diagnostics;
         if (!diagnostics.length) return;
         console.groupCollapsed("MCTM Lint Diagnostics");
         diagnostics.forEach((d) => {
             const tag = d.level === "error" ? "error" : "warn";
-            console[tag](`[${d.level.toUpperCase()}] line ${d.line}: ${d.message}`);
+            console[tag](`[${d.level.toUpperCase()}] ${d.code} line ${d.line}:${d.column}: ${d.message}`);
         });
         console.groupEnd();
     } catch (e) {
@@ -127,13 +158,55 @@ function lintAndReport(sourceText) {
 
 // #region Form Handling
 
-formContainer.addEventListener("input", (e) => {
-    if (!e.target || !e.target.id) return;
-    reevaluateConditions(formContainer, state);
-    evaluateComputedAll(state);
-    autosave();
+// Conditions and formulas depending on the edited field are re-evaluated
+// right away; autosave waits for a pause in typing.
+const fieldStore = createFieldStore({
+    state,
+    root: formContainer,
+    persist: autosave,
 });
 
+function onFieldEdited(e) {
+    const target = e.target;
+    if (!(target instanceof HTMLElement)) return;
+    const id =
+        target.id && state.fieldRefs[target.id]
+            ? target.id
+            : target.closest("[data-field-id]")?.dataset.fieldId;
+    fieldStore.notify(id ? [id] : []);
+}
+
+["input", "change", "items-changed"].forEach((type) =>
+    formContainer.addEventListener(type, onFieldEdited)
+);
+
+// Check a field once focus leaves it (not while moving between its inputs)
+formContainer.addEventListener("focusout", (e) => {
+    const row =
+        e.target instanceof HTMLElement && e.target.closest("[data-field-id]");
+    if (!row || row.contains(e.relatedTarget)) return;
+    checkField(state.validators, row.dataset.fieldId);
+});
+
+fieldStore.subscribe((changed) => {
+    refreshFieldValidators(state.validators);
+    checkRules(changed);
+});
+
+// Template `@rule`s; `changed` limits the check to rules reading those ids.
+// Returns the failing rules.
+function checkRules(changed) {
+    return evaluateRules(
+        formContainer,
+        state.rules,
+        (id) => getFieldValue(id, state),
+        state.meta,
+        changed
+    );
+}
+
+window.addEventListener("pagehide", () => fieldStore.flush());
+
 function collectData() {
     const data = {};
     Object.entries(state.fieldRefs).forEach(([id, ref]) => {
@@ -152,19 +225,122 @@ function collectData() {
 
 // #endregion
 
+// #region Validation report
+
+let pendingExport = null;
+
+// Export right away when nothing fails; otherwise list the problems. Only
+// warnings: the report offers to export anyway, marked as a draft unless every
+// warning is a value to confirm. Exported warnings go to the JSON `_warnings`.
+function exportAfterValidation(exportFn) {
+    const issues = collectValidationIssues(formContainer, {
+        validators: state.validators,
+        rules: state.rules,
+        getValue: (id) => getFieldValue(id, state),
+        meta: state.meta,
+    });
+    if (!issues.length) return exportFn({ draft: false, warnings: [] });
+    const errors = issues.filter((i) => i.level === "error").length;
+    const warnings = issues.length - errors;
+    const confirmOnly = issues.every((i) => i.confirm);
+    validationSummary.textContent = errors
+        ? `${countLabel(errors, "error")} must be fixed before export` +
+          (warnings ? ` (and ${countLabel(warnings, "warning")})` : "") +
+          "."
+        : `${countLabel(warnings, "warning")} to review.`;
+    renderValidationReport(issues);
+    pendingExport = errors
+        ? null
+        : () =>
+              exportFn({
+                  draft: !confirmOnly,
+                  warnings: issues.map(exportedWarning),
+              });
+    exportDraftBtn.textContent = confirmOnly
+        ? "Confirm values and export"
+        : "Export anyway as draft";
+    exportDraftBtn.classList.toggle("hidden", !!errors);
+    openDialog("validationModal");
+}
+
+// A warning as recorded in the export, with the values it was given for
+function exportedWarning(issue) {
+    const values = {};
+    issue.fields.forEach((id) => {
+        values[id] = getFieldValue(id, state);
+    });
+    return { fields: issue.fields, values, message: issue.message };
+}
+
+function countLabel(n, noun) {
+    return `${n} ${noun}${n === 1 ? "" : "s"}`;
+}
+
+// Issues grouped by section, in form order; each entry jumps to its field
+function renderValidationReport(issues) {
+    validationReport.innerHTML = "";
+    const groups = new Map();
+    issues.forEach((issue) => {
+        const title = issue.section || "General";
+        if (!groups.has(title)) groups.set(title, []);
+        groups.get(title).push(issue);
+    });
+    groups.forEach((list, title) => {
+        const group = document.createElement("section");
+        group.className = "validation-group";
+        const h = document.createElement("h3");
+        h.textContent = title;
+        const ul = document.createElement("ul");
+        list.forEach((issue) => {
+            const li = document.createElement("li");
+            li.dataset.level = issue.level;
+            const link = document.createElement("button");
+            link.type = "button";
+            link.className = "validation-link";
+            link.textContent = issue.label || "Go to field";
+            link.addEventListener("click", () => {
+                closeDialog("validationModal");
+                revealField(issue.target, issue.focus);
+            });
+            const msg = document.createElement("span");
+            msg.textContent = issue.message;
+            li.append(link, msg);
+            ul.appendChild(li);
+        });
+        group.append(h, ul);
+        validationReport.appendChild(group);
+    });
+}
+
+exportDraftBtn?.addEventListener("click", () => {
+    const exportFn = pendingExport;
+    pendingExport = null;
+    closeDialog("validationModal");
+    if (exportFn) exportFn();
+});
+
+// #endregion
+
 // #region Export
 
-jsonBtn.addEventListener("click", () => {
-    if (!validateAll(formContainer)) return alert("Validation errors present");
-    jsonPreview.value = JSON.stringify(collectData(), null, 2);
+jsonBtn.addEventListener("click", () => exportAfterValidation(exportJson));
+
+pdfBtn.addEventListener("click", () => exportAfterValidation(exportPdf));
+
+function exportJson({ draft, warnings }) {
+    const data = collectData();
+    if (draft) data._draft = true;
+    if (warnings.length) data._warnings = warnings;
+    jsonPreview.value = JSON.stringify(data, null, 2);
     openDialog("jsonModal");
-});
+}
 
-pdfBtn.addEventListener("click", async () => {
-    if (!validateAll(formContainer)) return alert("Validation errors present");
+async function exportPdf({ draft }) {
     const data = collectData();
+    const docDefinition = await renderPDF(state.meta, state.ast, data);
+    if (draft) docDefinition.watermark = { text: "DRAFT", opacity: 0.1 };
     latestPdf = {
-        docDefinition: await renderPDF(state.meta, state.ast, data),
+        docDefinition,
         filename: `${data.patient_pin || "patient"}_discharge_summary.pdf`.replace(
             /[^a-z0-9._-]/gi,
             "_"
@@ -172,7 +348,7 @@ pdfBtn.addEventListener("click", async () => {
     };
     if (!globalThis.pdfMake) return alert("PDF engine not loaded");
     openDialog("pdfModal");
-});
+}
 
 function downloadFile(filename, content) {
     const a = document.createElement("a");
@@ -220,6 +396,11 @@ function openDialog(id) {
     if (dlg instanceof HTMLDialogElement && !dlg.open) dlg.showModal();
 }
 
+function closeDialog(id) {
+    const dlg = document.getElementById(id);
+    if (dlg instanceof HTMLDialogElement && dlg.open) dlg.close();
+}
+
 settingsBtn?.addEventListener("click", () => openDialog("settingsModal"));
 
 newDischargeBtn?.addEventListener("click", startFreshDischarge);
@@ -404,11 +585,13 @@ function autosave() {
     } catch { }
 }
 
+// Returns the ids of the fields restored (so expression defaults skip them)
 function restoreAutosave() {
-    if (startingFresh) return;
+    const restored = new Set();
+    if (startingFresh) return restored;
     try {
         const raw = localStorage.getItem(state.autosaveKey);
-        if (!raw) return;
+        if (!raw) return restored;
         const data = JSON.parse(raw);
         if (data._sectionOptionals && state.sectionOptionals) {
             Object.entries(data._sectionOptionals).forEach(([secId, val]) => {
@@ -421,6 +604,7 @@ function restoreAutosave() {
         Object.entries(data).forEach(([id, val]) => {
             const ref = state.fieldRefs[id];
             if (!ref) return;
+            restored.add(id);
             if (ref instanceof HTMLElement) {
                 if (ref.type === "checkbox") {
                     // Ensure any visibility sync tied to checkbox change is applied
@@ -437,6 +621,7 @@ function restoreAutosave() {
         });
         reevaluateConditions(formContainer, state);
     } catch { }
+    return restored;
 }
 
 // #endregion
@@ -1,90 +1,726 @@
+import {
+  DATE_FUNCTIONS,
+  parseDuration,
+  isDuration,
+  parseDate,
+  today,
+  addDuration,
+  daysBetween,
+} from "./utils/dates.js";
+import { durationToDays } from "./utils/prescription.js";
+
 /* Conditional evaluator */
-// Supports simple binary expressions like: patient_sex=="Female", has_diabetes!=true, age>18, date<="2025-01-01"
-export function evaluateCondition(expr, getValue) {
+// Conditions are boolean expressions over field values:
+//   patient_sex==Female and (age>=12 or menarche==true)
+//   not smokingcb
+//   department in [medicine, surgery] and notes is not empty
+//   meta.department==general_medicine
+//   medications.count > 0 and diagnosis.code contains "5A11"
+//   date_discharge - date_admission > 7d and age_from(dob) < 18
+// Comparisons: == != > < >= <=, in / not in [list], contains, is empty /
+// is not empty, matches /regex/flags; logic: and / or / not (also && || !) and
+// parentheses.
+// The left operand of a comparison (or a bare operand) is a field id, or a
+// template metadata key as meta.<key>. A field id may be followed by a path into
+// its value (field.prop.prop...) and an aggregate (.count .sum .min .max).
+// Operands may be combined with + / - (spaces required) for date arithmetic with
+// `today`, duration literals (7d 2w 3m 1y) and the date functions of
+// utils/dates.js, which computed formulas share.
+// A bare word on the right is a field id when such a field exists, otherwise a
+// literal (`patient_sex==Female`); quote it to force a literal.
+// Expressions are parsed once into an AST (parseCondition) and cached.
+
+export class ConditionSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} start 0-based offset of the offending text in the expression
+   * @param {number} end
+   */
+  constructor(message, start, end = start + 1) {
+    super(message);
+    this.name = "ConditionSyntaxError";
+    this.start = start;
+    this.end = end;
+  }
+}
+
+const COMPARISON_OPS = ["==", "!=", ">=", "<=", ">", "<"];
+const KEYWORDS = { and: "and", or: "or", not: "not" };
+const SYMBOL_KEYWORDS = { "&&": "and", "||": "or", "!": "not" };
+const IDENT_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const META_RE = /^meta\.([A-Za-z_][A-Za-z0-9_]*)$/;
+const PATH_RE = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)+$/;
+const AGGREGATES = {
+  count: (items) => items.length,
+  sum: (items) => numbers(items).reduce((a, b) => a + b, 0),
+  min: (items) => extreme(numbers(items), Math.min),
+  max: (items) => extreme(numbers(items), Math.max),
+};
+const CACHE_LIMIT = 500;
+const cache = new Map();
+
+/**
+ * @param {string} expr
+ * @param {(id:string) => any} getValue Field value lookup.
+ * @param {Object} [meta] Template metadata for meta.<key> operands.
+ * @returns {boolean}
+ */
+export function evaluateCondition(expr, getValue, meta = {}) {
   if (!expr) return true;
+  let ast;
   try {
-    // tiny parser: split by supported operators (order matters to catch 2-char ops first)
-    const m = /(.*?)\s*(==|!=|>=|<=|>|<)\s*(.*)/.exec(expr);
-    if (!m) return true;
-    let left = m[1].trim();
-    const op = m[2];
-    let right = m[3].trim();
-    // Parse right-hand literal for booleans and quoted strings; keep numbers as-is for ==/!= compatibility
-    let rightLiteral = right;
-    if (right.toLowerCase() === "true" || right.toLowerCase() === "false")
-      rightLiteral = right === "true"; // boolean
-    else if (/^".*"$|^'.*'$/.test(right)) rightLiteral = right.slice(1, -1); // strip quotes
-
-    const currentRaw = getValue(left);
-    const current = normalizeValue(currentRaw);
-    const cmpTarget = normalizeValue(rightLiteral);
-
-    // Equality operators preserve historical strict compare semantics
-    if (op === "==") return current === cmpTarget;
-    if (op === "!=") return current !== cmpTarget;
-
-    // Relational operators: try number, then date, else string lexicographic
-    const a = toComparable(currentRaw);
-    const b = toComparable(parseUnquoted(right));
-    if (a === undefined || b === undefined) return false;
-    if (typeof a === "number" && typeof b === "number") {
-      if (op === ">") return a > b;
-      if (op === "<") return a < b;
-      if (op === ">=") return a >= b;
-      if (op === "<=") return a <= b;
-    }
-    if (a instanceof Date && b instanceof Date) {
-      const at = a.getTime();
-      const bt = b.getTime();
-      if (isNaN(at) || isNaN(bt)) return false;
-      if (op === ">") return at > bt;
-      if (op === "<") return at < bt;
-      if (op === ">=") return at >= bt;
-      if (op === "<=") return at <= bt;
-    }
-
-    // Fallback to string comparison (case-insensitive)
-    const as = String(current).toLowerCase();
-    const bs = String(cmpTarget).toLowerCase();
-    if (op === ">") return as > bs;
-    if (op === "<") return as < bs;
-    if (op === ">=") return as >= bs;
-    if (op === "<=") return as <= bs;
-
-    return false;
+    ast = parseCondition(expr);
+  } catch {
+    // Unparseable conditions keep the content visible; the linter reports them
+    return true;
+  }
+  try {
+    return truthy(evaluateNode(ast, { getValue, meta: meta || {} }));
   } catch (e) {
     console.warn("Condition error", e);
     return false;
   }
 }
 
+/**
+ * Evaluate an expression (`date_admission + 5d`, `meta.unit`, `today()`) with
+ * the condition engine and return its value instead of a boolean. Used for
+ * expression defaults (`default:=...`).
+ * @param {string} expr
+ * @param {(id:string) => any} getValue
+ * @param {Object} [meta]
+ * @returns {any} undefined when the expression does not parse or fails.
+ */
+export function evaluateExpression(expr, getValue, meta = {}) {
+  try {
+    return evaluateNode(parseCondition(expr), { getValue, meta: meta || {} });
+  } catch (e) {
+    console.warn("Expression error", e);
+    return undefined;
+  }
+}
+
+/**
+ * The expression of an expression default (`default:=today()`), or null for a
+ * static default. A leading `==` escapes a static default starting with `=`.
+ * @param {unknown} value A `default:` value.
+ * @returns {string|null}
+ */
+export function defaultExpression(value) {
+  if (typeof value !== "string" || !value.startsWith("=")) return null;
+  if (value.startsWith("==")) return null;
+  return value.slice(1);
+}
+
+/**
+ * Parse a condition into an AST (cached per expression text).
+ * Node shapes:
+ *   { type: "or" | "and", left, right }
+ *   { type: "not", operand }
+ *   { type: "compare", op, left, right }
+ *   { type: "in", negated, left, items }     items: literal nodes
+ *   { type: "contains", left, right }
+ *   { type: "empty", negated, operand }
+ *   { type: "matches", left, regex }
+ *   { type: "ref", name, path, start, end }  field reference; path: [] or ["code"], ["count"], ...
+ *   { type: "word", name, path, raw, start, end }  field if it exists, else literal `raw`
+ *   { type: "meta", key, start, end }        template metadata
+ *   { type: "arith", op: "+" | "-", left, right }
+ *   { type: "call", name, args, start, end } DATE_FUNCTIONS call
+ *   { type: "today", start, end }
+ *   { type: "literal", value, start, end }
+ * @param {string} expr
+ * @returns {Object}
+ * @throws {ConditionSyntaxError}
+ */
+export function parseCondition(expr) {
+  const text = String(expr);
+  if (cache.has(text)) return cache.get(text);
+  const ast = new Parser(text).parse();
+  if (cache.size >= CACHE_LIMIT) cache.clear();
+  cache.set(text, ast);
+  return ast;
+}
+
+/**
+ * Field references of a condition.
+ * @param {string|Object} exprOrAst
+ * @returns {Array<{name:string, start:number, end:number, optional:boolean}>}
+ *   `optional` is true for right-hand words that are literals unless a field with
+ *   that id exists.
+ */
+export function conditionRefs(exprOrAst) {
+  const ast =
+    typeof exprOrAst === "string" ? parseCondition(exprOrAst) : exprOrAst;
+  const refs = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === "ref" || node.type === "word")
+      refs.push({
+        name: node.name,
+        start: node.start,
+        end: node.end,
+        optional: node.type === "word",
+      });
+    [node.left, node.right, node.operand].forEach(walk);
+    (node.items || []).forEach(walk);
+    (node.args || []).forEach(walk);
+  };
+  walk(ast);
+  return refs;
+}
+
+// #region Parser
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if ("()[],".includes(ch)) {
+      tokens.push({ type: ch, start, end: ++i });
+      continue;
+    }
+    const prev = tokens[tokens.length - 1];
+    if (ch === "/" && prev && isWord(prev, "matches")) {
+      tokens.push(readRegex(text, start));
+      i = tokens[tokens.length - 1].end;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === "\\" && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length)
+        throw new ConditionSyntaxError("Unterminated string", start, i);
+      tokens.push({ type: "string", value, start, end: ++i });
+      continue;
+    }
+    const two = text.slice(i, i + 2);
+    const op = COMPARISON_OPS.find((o) => text.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: "op", value: op, start, end: (i += op.length) });
+      continue;
+    }
+    if (SYMBOL_KEYWORDS[two] || SYMBOL_KEYWORDS[ch]) {
+      const sym = SYMBOL_KEYWORDS[two] ? two : ch;
+      i += sym.length;
+      tokens.push({ type: SYMBOL_KEYWORDS[sym], start, end: i });
+      continue;
+    }
+    if (ch === "=")
+      throw new ConditionSyntaxError("Use '==' to compare", start, i + 1);
+    // Bare word: ids, numbers, dates and unquoted values
+    while (i < text.length && !/[\s()[\],"'=!<>&|]/.test(text[i])) i++;
+    if (i === start)
+      throw new ConditionSyntaxError(`Unexpected '${ch}'`, start, start + 1);
+    const value = text.slice(start, i);
+    const keyword = KEYWORDS[value.toLowerCase()];
+    if (keyword) tokens.push({ type: keyword, start, end: i });
+    else if (value === "+" || value === "-")
+      tokens.push({ type: "arith", value, start, end: i });
+    else tokens.push({ type: "word", value, start, end: i });
+  }
+  tokens.push({ type: "end", start: text.length, end: text.length });
+  return tokens;
+}
+
+// /pattern/flags after `matches`; the pattern is compiled here so errors are syntax errors
+function readRegex(text, start) {
+  let i = start + 1;
+  let pattern = "";
+  while (i < text.length && text[i] !== "/") {
+    if (text[i] === "\\" && i + 1 < text.length) pattern += text[i++];
+    pattern += text[i++];
+  }
+  if (i >= text.length)
+    throw new ConditionSyntaxError("Unterminated regular expression", start, i);
+  i++;
+  const flagsStart = i;
+  while (i < text.length && /[a-z]/i.test(text[i])) i++;
+  const flags = text.slice(flagsStart, i);
+  try {
+    return { type: "regex", value: new RegExp(pattern, flags), start, end: i };
+  } catch (e) {
+    throw new ConditionSyntaxError(e.message, start, i);
+  }
+}
+
+function isWord(token, word) {
+  return token.type === "word" && token.value.toLowerCase() === word;
+}
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  parse() {
+    if (this.peek().type === "end")
+      throw new ConditionSyntaxError("Empty condition", 0, this.text.length);
+    const node = this.parseOr();
+    const next = this.peek();
+    if (next.type !== "end") throw this.unexpected(next);
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  unexpected(token) {
+    if (token.type === "end")
+      return new ConditionSyntaxError(
+        "Unexpected end of condition",
+        token.start,
+        token.end
+      );
+    return new ConditionSyntaxError(
+      `Unexpected '${this.text.slice(token.start, token.end)}'`,
+      token.start,
+      token.end
+    );
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peek().type === "or") {
+      this.next();
+      left = { type: "or", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.peek().type === "and") {
+      this.next();
+      left = { type: "and", left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.peek().type === "not") {
+      this.next();
+      return { type: "not", operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.peek().type === "(") {
+      const open = this.next();
+      const node = this.parseOr();
+      if (this.peek().type !== ")")
+        throw new ConditionSyntaxError("Missing ')'", open.start, open.end);
+      this.next();
+      // `(a - b) > 7d`: a parenthesized operand
+      return this.parseComparison(this.parseSum(true, node));
+    }
+    return this.parseComparison(this.parseSum(true));
+  }
+
+  // operand { (+|-) operand }
+  parseSum(isLeft, first) {
+    let left = first || this.parseOperand(isLeft);
+    while (this.peek().type === "arith") {
+      const op = this.next().value;
+      left = { type: "arith", op, left, right: this.parseOperand(isLeft) };
+    }
+    return left;
+  }
+
+  parseComparison(left) {
+    const token = this.peek();
+    if (token.type === "op") {
+      const op = this.next().value;
+      const right = this.parseSum(false);
+      return { type: "compare", op, left, right: this.parseWords(right) };
+    }
+    // `not in` is the only place `not` follows an operand
+    const negatedIn =
+      token.type === "not" && isWord(this.tokens[this.pos + 1], "in");
+    if (isWord(token, "in") || negatedIn) {
+      this.pos += negatedIn ? 2 : 1;
+      return { type: "in", negated: negatedIn, left, items: this.parseList() };
+    }
+    if (isWord(token, "contains")) {
+      this.next();
+      return { type: "contains", left, right: this.parseSum(false) };
+    }
+    if (isWord(token, "is")) {
+      this.next();
+      const negated = this.peek().type === "not";
+      if (negated) this.next();
+      const word = this.next();
+      if (!isWord(word, "empty")) throw this.expected("'empty'", word);
+      return { type: "empty", negated, operand: left };
+    }
+    if (isWord(token, "matches")) {
+      this.next();
+      const pattern = this.next();
+      if (pattern.type === "regex")
+        return { type: "matches", left, regex: pattern.value };
+      if (pattern.type === "string") {
+        try {
+          return { type: "matches", left, regex: new RegExp(pattern.value) };
+        } catch (e) {
+          throw new ConditionSyntaxError(e.message, pattern.start, pattern.end);
+        }
+      }
+      throw this.expected("a /regular expression/", pattern);
+    }
+    return left;
+  }
+
+  // Unquoted multi-word values (`patient_sex==Some Value`), as single
+  // comparisons accepted before conditions had a grammar: a bare word followed
+  // by more bare words is one literal, spaces kept.
+  parseWords(right) {
+    if (right.type !== "word" && right.type !== "literal") return right;
+    const first = this.tokens[this.pos - 1];
+    if (first.type !== "word" || this.peek().type !== "word") return right;
+    let end = first.end;
+    while (this.peek().type === "word") end = this.next().end;
+    return {
+      type: "literal",
+      value: this.text.slice(right.start, end),
+      start: right.start,
+      end,
+    };
+  }
+
+  // [a, "b c", 3]; items are always literals
+  parseList() {
+    const open = this.next();
+    if (open.type !== "[") throw this.expected("'['", open);
+    const items = [];
+    while (this.peek().type !== "]") {
+      const item = this.parseOperand(false);
+      items.push(
+        item.type === "literal"
+          ? item
+          : {
+            type: "literal",
+            value: this.text.slice(item.start, item.end),
+            start: item.start,
+            end: item.end,
+          }
+      );
+      const sep = this.peek();
+      if (sep.type === ",") this.next();
+      else if (sep.type !== "]") throw this.expected("',' or ']'", sep);
+    }
+    this.next();
+    return items;
+  }
+
+  expected(what, token) {
+    const found =
+      token.type === "end"
+        ? "end of condition"
+        : `'${this.text.slice(token.start, token.end)}'`;
+    return new ConditionSyntaxError(
+      `Expected ${what} but found ${found}`,
+      token.start,
+      token.end
+    );
+  }
+
+  // Left-hand operands are field references; right-hand bare words may be values
+  parseOperand(isLeft) {
+    const token = this.next();
+    const range = { start: token.start, end: token.end };
+    if (token.type === "string")
+      return { type: "literal", value: token.value, ...range };
+    if (token.type !== "word") throw this.unexpected(token);
+    const raw = token.value;
+    if (/^(true|false)$/i.test(raw))
+      return { type: "literal", value: raw.toLowerCase() === "true", ...range };
+    const meta = META_RE.exec(raw);
+    if (meta) return { type: "meta", key: meta[1], ...range };
+    const duration = parseDuration(raw);
+    if (duration) return { type: "literal", value: duration, ...range };
+    if (this.peek().type === "(" && IDENT_RE.test(raw))
+      return this.parseCall(raw, range);
+    if (raw.toLowerCase() === "today") return { type: "today", ...range };
+    if (!IDENT_RE.test(raw) && !PATH_RE.test(raw))
+      return { type: "literal", value: raw, ...range };
+    const [name, ...path] = raw.split(".");
+    if (isLeft) return { type: "ref", name, path, ...range };
+    return { type: "word", name, path, raw, ...range };
+  }
+
+  parseCall(name, range) {
+    if (!Object.prototype.hasOwnProperty.call(DATE_FUNCTIONS, name))
+      throw new ConditionSyntaxError(
+        `Unknown function '${name}'`,
+        range.start,
+        range.end
+      );
+    this.next(); // (
+    const args = [];
+    while (this.peek().type !== ")") {
+      args.push(this.parseSum(true));
+      const sep = this.peek();
+      if (sep.type === ",") this.next();
+      else if (sep.type !== ")") throw this.expected("',' or ')'", sep);
+    }
+    const close = this.next();
+    return { type: "call", name, args, start: range.start, end: close.end };
+  }
+}
+
+// #endregion
+
+// #region Evaluation
+
+function evaluateNode(node, env) {
+  switch (node.type) {
+    case "or":
+      return (
+        truthy(evaluateNode(node.left, env)) ||
+        truthy(evaluateNode(node.right, env))
+      );
+    case "and":
+      return (
+        truthy(evaluateNode(node.left, env)) &&
+        truthy(evaluateNode(node.right, env))
+      );
+    case "not":
+      return !truthy(evaluateNode(node.operand, env));
+    case "compare":
+      return compareValues(
+        node.op,
+        evaluateNode(node.left, env),
+        evaluateNode(node.right, env)
+      );
+    case "in": {
+      const values = asList(evaluateNode(node.left, env));
+      const found = node.items.some((item) =>
+        values.some((v) => normalizeValue(v) === normalizeValue(item.value))
+      );
+      return node.negated ? !found : found;
+    }
+    case "contains":
+      return contains(
+        evaluateNode(node.left, env),
+        evaluateNode(node.right, env)
+      );
+    case "empty": {
+      const empty = isEmpty(evaluateNode(node.operand, env));
+      return node.negated ? !empty : empty;
+    }
+    case "arith":
+      return arithmetic(
+        node.op,
+        evaluateNode(node.left, env),
+        evaluateNode(node.right, env)
+      );
+    case "call":
+      return DATE_FUNCTIONS[node.name](
+        ...node.args.map((arg) => evaluateNode(arg, env))
+      );
+    case "today":
+      return today();
+    case "matches":
+      return asList(evaluateNode(node.left, env)).some(
+        (v) => v !== undefined && v !== null && node.regex.test(String(v))
+      );
+    default:
+      return operandValue(node, env);
+  }
+}
+
+function operandValue(node, env) {
+  if (node.type === "ref") return applyPath(env.getValue(node.name), node.path);
+  if (node.type === "word") {
+    const value = env.getValue(node.name);
+    return value === undefined ? node.raw : applyPath(value, node.path);
+  }
+  if (node.type === "meta") return env.meta[node.key];
+  return node.value;
+}
+
+// Walk a path into a field value. On a list, a property is read from every item
+// (results are flattened, missing ones dropped) and an aggregate name applies to
+// the list itself; scalars count as a list of one (or none when empty).
+export function applyPath(value, path = []) {
+  return path.reduce((v, key) => {
+    const isObject = v && typeof v === "object" && !Array.isArray(v);
+    if (Object.prototype.hasOwnProperty.call(AGGREGATES, key) && !isObject)
+      return AGGREGATES[key](isEmpty(v) ? [] : asList(v));
+    if (Array.isArray(v))
+      return v
+        .flatMap((item) => asList(property(item, key)))
+        .filter((x) => x !== undefined && x !== null);
+    return property(v, key);
+  }, value);
+}
+
+function property(item, key) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) return undefined;
+  return Object.prototype.hasOwnProperty.call(item, key) ? item[key] : undefined;
+}
+
+function numbers(items) {
+  return items
+    .map((v) => (typeof v === "number" ? v : parseFloat(v)))
+    .filter((n) => !isNaN(n));
+}
+
+function extreme(values, pick) {
+  return values.length ? pick(...values) : undefined;
+}
+
+// date - date = days between; date +/- duration = date; duration +/- duration and
+// number +/- number as expected; anything else has no value
+function arithmetic(op, a, b) {
+  const sign = op === "-" ? -1 : 1;
+  const da = isDuration(a) ? null : parseDate(a);
+  const db = isDuration(b) ? null : parseDate(b);
+  if (da && db)
+    return op === "-" ? { value: daysBetween(db, da), unit: "days" } : undefined;
+  if (da && isDuration(b)) return addDuration(da, b, sign);
+  if (db && isDuration(a)) return op === "+" ? addDuration(db, a) : undefined;
+  if (isDuration(a) && isDuration(b))
+    return {
+      value: durationToDays(a) + sign * durationToDays(b),
+      unit: "days",
+    };
+  const na = toComparable(a);
+  const nb = toComparable(b);
+  if (typeof na === "number" && typeof nb === "number") return na + sign * nb;
+  return undefined;
+}
+
+function asList(v) {
+  return Array.isArray(v) ? v : [v];
+}
+
+// Lists: some item equals the needle; text: case-insensitive substring
+function contains(haystack, needle) {
+  const n = String(normalizeValue(needle)).toLowerCase();
+  if (Array.isArray(haystack))
+    return haystack.some((v) => String(normalizeValue(v)).toLowerCase() === n);
+  if (haystack === undefined || haystack === null) return false;
+  return String(haystack).toLowerCase().includes(n);
+}
+
+export function isEmpty(v) {
+  if (v === undefined || v === null) return true;
+  if (Array.isArray(v)) return v.length === 0;
+  return typeof v === "string" && v.trim() === "";
+}
+
+// A list on the left matches when any item does (`!=`: when no item equals).
+// Computed formulas (formula.js) share these comparison rules.
+export function compareValues(op, currentRaw, targetRaw) {
+  if (Array.isArray(currentRaw) && !Array.isArray(targetRaw)) {
+    if (op === "!=")
+      return currentRaw.every((v) => compareValue("!=", v, targetRaw));
+    return currentRaw.some((v) => compareValue(op, v, targetRaw));
+  }
+  return compareValue(op, currentRaw, targetRaw);
+}
+
+// Equality keeps the historical strict compare (after trimming); relational
+// operators try number, then date, else case-insensitive string order.
+function compareValue(op, currentRaw, targetRaw) {
+  let current = normalizeValue(currentRaw);
+  let cmpTarget = normalizeValue(targetRaw);
+  // Numbers (aggregates, computed values) equal their numeric text; dates and
+  // durations compare by value
+  if ([current, cmpTarget].some(isScalarValue)) {
+    const a = toComparable(current);
+    const b = toComparable(cmpTarget);
+    if (typeof a === "number" && typeof b === "number") {
+      current = a;
+      cmpTarget = b;
+    } else if (a instanceof Date && b instanceof Date) {
+      current = a.getTime();
+      cmpTarget = b.getTime();
+    }
+  }
+  if (op === "==") return current === cmpTarget;
+  if (op === "!=") return current !== cmpTarget;
+
+  const a = toComparable(currentRaw);
+  const b = toComparable(targetRaw);
+  if (a === undefined || b === undefined) return false;
+  if (typeof a === "number" && typeof b === "number") {
+    if (op === ">") return a > b;
+    if (op === "<") return a < b;
+    if (op === ">=") return a >= b;
+    if (op === "<=") return a <= b;
+  }
+  if (a instanceof Date && b instanceof Date) {
+    const at = a.getTime();
+    const bt = b.getTime();
+    if (isNaN(at) || isNaN(bt)) return false;
+    if (op === ">") return at > bt;
+    if (op === "<") return at < bt;
+    if (op === ">=") return at >= bt;
+    if (op === "<=") return at <= bt;
+  }
+
+  // Fallback to string comparison (case-insensitive)
+  const as = String(current).toLowerCase();
+  const bs = String(cmpTarget).toLowerCase();
+  if (op === ">") return as > bs;
+  if (op === "<") return as < bs;
+  if (op === ">=") return as >= bs;
+  if (op === "<=") return as <= bs;
+
+  return false;
+}
+
+// A bare operand is true when it holds something: checked, non-empty, non-zero
+export function truthy(v) {
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === "string") {
+    const s = v.trim().toLowerCase();
+    return s !== "" && s !== "false" && s !== "0";
+  }
+  return Boolean(v);
+}
+
+// #endregion
+
 function normalizeValue(v) {
   if (typeof v === "string") return v.trim();
   if (v === undefined) return "";
   return v;
 }
 
-// Turn a string literal (possibly quoted) into a JS value without forcing numbers for ==/!=
-function parseUnquoted(s) {
-  if (s === "true") return true;
-  if (s === "false") return false;
-  if (/^".*"$|^'.*'$/.test(s)) return s.slice(1, -1);
-  // try number
-  if (isNumericString(s)) return Number(s);
-  // try date
-  const d = tryParseDate(s);
-  if (d) return d;
-  return s;
+function isScalarValue(v) {
+  return typeof v === "number" || v instanceof Date || isDuration(v);
 }
 
 function toComparable(v) {
   if (v === undefined || v === null) return "";
   if (typeof v === "number") return v;
   if (v instanceof Date) return v;
+  if (isDuration(v)) return durationToDays(v);
   if (typeof v === "boolean") return v ? 1 : 0; // allow boolean ordering if used
   const s = String(v).trim();
   if (isNumericString(s)) return Number(s);
-  const d = tryParseDate(s);
+  const d = parseDate(s);
   if (d) return d;
   return s;
 }
@@ -92,7 +728,3 @@ function toComparable(v) {
 function isNumericString(s) {
   return /^-?\d+(?:\.\d+)?$/.test(s);
 }
-function tryParseDate(s) {
-  const t = Date.parse(s);
-  return isNaN(t) ? null : new Date(t);
-}
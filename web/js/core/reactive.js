@@ -0,0 +1,133 @@
+// Reactive field store: recomputes only what depends on a changed field.
+//
+// Field values stay in their refs (state.fieldRefs); the store knows, from the
+// dependency graph (state.graph) and the conditional elements of the form
+// (`data-condition`, `data-required-if`, `data-readonly-if`), which computed
+// fields and conditions read each id. notify(id) re-evaluates the
+// computed fields downstream of `id` in topological order (graph.computedOrder),
+// stopping where a value does not change, then the conditions reading anything
+// that changed, and schedules a debounced persist. Conditions and formulas are
+// parsed once (conditional.js / formula.js cache their ASTs).
+import { conditionRefs } from "../conditional.js";
+import {
+  CONDITIONAL_ROWS,
+  evaluateComputedAll,
+  evaluateComputedField,
+  evaluateConditionRow,
+  getFieldValue,
+  reevaluateConditions,
+} from "../ui_renderer.js";
+
+const DEFAULT_PERSIST_DELAY = 500;
+
+/**
+ * @param {Object} options
+ * @param {Object} options.state App state (fieldRefs, computed, graph, meta).
+ * @param {HTMLElement} options.root Form container.
+ * @param {() => void} [options.persist] Called (debounced) after changes.
+ * @param {number} [options.persistDelay] Milliseconds of quiet before persisting.
+ * @returns {{
+ *   reset: () => void,
+ *   refreshAll: () => void,
+ *   notify: (ids: string|string[]) => Set<string>,
+ *   get: (id: string) => any,
+ *   set: (id: string, value: any) => void,
+ *   subscribe: (listener: (changed: Set<string>) => void) => () => void,
+ *   flush: () => void
+ * }}
+ */
+export function createFieldStore({
+  state,
+  root,
+  persist = null,
+  persistDelay = DEFAULT_PERSIST_DELAY,
+}) {
+  let conditionRows = new Map(); // id -> Set of elements whose condition reads it
+  let computedById = new Map();
+  const listeners = new Set();
+  let timer = null;
+
+  // Index the rendered form; call after every render
+  const reset = () => {
+    conditionRows = new Map();
+    root.querySelectorAll(CONDITIONAL_ROWS).forEach((row) => {
+      const { condition, requiredIf, readonlyIf } = row.dataset;
+      const refs = [condition, requiredIf, readonlyIf].flatMap((expr) => {
+        if (expr === undefined) return [];
+        try {
+          return conditionRefs(expr);
+        } catch {
+          // Unparseable conditions keep their declared state
+          return [];
+        }
+      });
+      refs.forEach(({ name }) => {
+        if (!conditionRows.has(name)) conditionRows.set(name, new Set());
+        conditionRows.get(name).add(row);
+      });
+    });
+    computedById = new Map(state.computed.map((node) => [node.id, node]));
+  };
+
+  const emit = (changed) => {
+    if (changed.size) listeners.forEach((listener) => listener(changed));
+  };
+
+  const schedulePersist = () => {
+    if (!persist) return;
+    clearTimeout(timer);
+    timer = setTimeout(flush, persistDelay);
+  };
+
+  const flush = () => {
+    if (timer === null) return;
+    clearTimeout(timer);
+    timer = null;
+    if (persist) persist();
+  };
+
+  const refreshAll = () => {
+    reevaluateConditions(root, state);
+    evaluateComputedAll(state);
+    reevaluateConditions(root, state);
+  };
+
+  const notify = (ids) => {
+    const changed = new Set([].concat(ids).filter(Boolean));
+    const order = state.graph && changed.size ? state.graph.computedOrder : [];
+    order.forEach((id) => {
+      const node = computedById.get(id);
+      const deps = state.graph.dependencies.get(id);
+      if (!node || !deps || ![...deps].some((d) => changed.has(d))) return;
+      if (evaluateComputedField(node, state)) changed.add(id);
+    });
+    const rows = new Set();
+    changed.forEach((id) =>
+      (conditionRows.get(id) || []).forEach((row) => rows.add(row))
+    );
+    rows.forEach((row) => evaluateConditionRow(row, state));
+    emit(changed);
+    schedulePersist();
+    return changed;
+  };
+
+  return {
+    reset,
+    refreshAll,
+    notify,
+    get: (id) => getFieldValue(id, state),
+    set: (id, value) => {
+      const ref = state.fieldRefs[id];
+      if (!ref) return;
+      if (ref instanceof HTMLInputElement && ref.type === "checkbox")
+        ref.checked = !!value;
+      else ref.value = value;
+      notify(id);
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    flush,
+  };
+}
@@ -5,6 +5,9 @@ export const state = {
   catalogsCache: {},
   autosaveKey: "dischargen_autosave_v1",
   computed: [],
+  rules: [],
+  validators: [],
+  graph: null,
   sections: [],
   sectionOptionals: {},
   diagnostics: [],
@@ -14,6 +17,9 @@ export function resetStateForTemplate() {
   state.ast = [];
   state.fieldRefs = {};
   state.computed = [];
+  state.rules = [];
+  state.validators = [];
+  state.graph = null;
   state.sections = [];
   state.sectionOptionals = {};
   state.diagnostics = [];
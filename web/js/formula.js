@@ -0,0 +1,737 @@
+import {
+  ageFrom,
+  addDuration,
+  daysBetween,
+  formatDate,
+  formatISODate,
+  isDuration,
+  parseDuration,
+  today,
+} from "./utils/dates.js";
+import { CLINICAL_FUNCTIONS } from "./utils/clinical.js";
+import {
+  applyPath,
+  compareValues,
+  isEmpty,
+  truthy,
+} from "./conditional.js";
+
+/* Computed field formulas */
+// Formulas are expressions over field values, evaluated by a small interpreter
+// (no JavaScript evaluation, so a template cannot reach the page):
+//   patient_age + '/' + patient_sex
+//   round(bmi(weight, height), 1)
+//   cig_or_pack == 'Packs' ? packs_per_day_i : cigs_per_day / cigs_per_pack
+//   concat(menstrual_cycle_regularity, ' ', menstrual_cycle_len, ' days cycle')
+// Operators (lowest precedence first): ?: , or / ||, and / &&, == != (=== !==
+// are accepted as aliases), < > <= >=, + -, * / %, unary - and not / !.
+// Identifiers are field ids, optionally followed by a path (diagnosis.code) as in
+// conditions; calls are limited to FORMULA_FUNCTIONS.
+// Empty values (missing fields, blank text) propagate: any arithmetic or `+` with
+// an empty operand is empty, and an empty result displays as nothing. Coercion is
+// explicit: `+` adds when both sides are numbers (or numeric text) and otherwise
+// joins text; - * / % need numbers and are empty otherwise; division by zero is
+// empty. Comparisons and truthiness follow the condition rules (conditional.js).
+
+export class FormulaSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} start 0-based offset of the offending text in the formula
+   * @param {number} end
+   */
+  constructor(message, start, end = start + 1) {
+    super(message);
+    this.name = "FormulaSyntaxError";
+    this.start = start;
+    this.end = end;
+  }
+}
+
+/**
+ * Functions callable from formulas: name -> { args: [min, max], fn, doc, scope }.
+ * Arguments arrive evaluated; empty arguments are null. The argument at index
+ * `scope`, when set, arrives as a function evaluating it for one item. The clinical
+ * calculators of utils/clinical.js (bmi, egfr_ckdepi, ...) are included.
+ */
+export const FORMULA_FUNCTIONS = {
+  round: {
+    args: [1, 2],
+    doc: "round(x, digits = 0): x rounded to `digits` decimals",
+    fn: (x, digits) => {
+      const n = toNumber(x);
+      const d = digits === null || digits === undefined ? 0 : toNumber(digits);
+      if (n === null || d === null) return null;
+      const f = 10 ** Math.max(0, Math.min(10, Math.trunc(d)));
+      return Math.round(n * f) / f;
+    },
+  },
+  floor: { args: [1, 1], doc: "floor(x)", fn: numeric(Math.floor) },
+  ceil: { args: [1, 1], doc: "ceil(x)", fn: numeric(Math.ceil) },
+  abs: { args: [1, 1], doc: "abs(x)", fn: numeric(Math.abs) },
+  min: {
+    args: [1, Infinity],
+    doc: "min(a, b, ...): smallest number in the arguments (or lists)",
+    fn: (...xs) => extreme(xs, Math.min),
+  },
+  max: {
+    args: [1, Infinity],
+    doc: "max(a, b, ...): largest number in the arguments (or lists)",
+    fn: (...xs) => extreme(xs, Math.max),
+  },
+  number: {
+    args: [1, 1],
+    doc: "number(x): x as a number, empty when it is not numeric",
+    fn: (x) => toNumber(x),
+  },
+  text: {
+    args: [1, 1],
+    doc: "text(x): x as text (empty stays empty)",
+    fn: (x) => (isBlank(x) ? null : toText(x)),
+  },
+  concat: {
+    args: [1, Infinity],
+    doc: "concat(a, b, ...): the arguments joined as text, skipping empty ones",
+    fn: (...parts) =>
+      parts
+        .filter((p) => p !== null && p !== undefined)
+        .map(toText)
+        .join(""),
+  },
+  if: {
+    args: [2, 3],
+    doc: "if(condition, then, else = empty)",
+    fn: (cond, a, b = null) => (truthy(cond) ? a : b),
+  },
+  coalesce: {
+    args: [1, Infinity],
+    doc: "coalesce(a, b, ...): the first non-empty argument",
+    fn: (...xs) => {
+      const found = xs.find((x) => !isBlank(x));
+      return found === undefined ? null : found;
+    },
+  },
+  count: {
+    args: [1, 1],
+    doc: "count(list): number of non-empty items (rows)",
+    fn: (list) => items(list).length,
+  },
+  sum: {
+    args: [1, Infinity],
+    doc: "sum(a, b, ...): total of the numbers in the arguments (or lists)",
+    fn: (...xs) => numbers(xs).reduce((a, b) => a + b, 0),
+  },
+  avg: {
+    args: [1, Infinity],
+    doc: "avg(a, b, ...): mean of the numbers in the arguments (or lists)",
+    fn: (...xs) => {
+      const ns = numbers(xs);
+      return ns.length ? ns.reduce((a, b) => a + b, 0) / ns.length : null;
+    },
+  },
+  first: {
+    args: [1, 1],
+    doc: "first(list): the first non-empty item",
+    fn: (list) => items(list)[0] ?? null,
+  },
+  last: {
+    args: [1, 1],
+    doc: "last(list): the last non-empty item",
+    fn: (list) => items(list).slice(-1)[0] ?? null,
+  },
+  join: {
+    args: [1, 2],
+    doc: "join(list, separator = ', '): the non-empty items as text",
+    fn: (list, sep) =>
+      items(list)
+        .map(toText)
+        .join(sep === null || sep === undefined ? ", " : toText(sep)),
+  },
+  filter: {
+    args: [2, 2],
+    // The condition is evaluated per item (see itemScope)
+    scope: 1,
+    doc:
+      "filter(list, condition): the items for which the condition holds; in the condition a column / property name reads the item and `item` is the item itself",
+    fn: (list, keep) => items(list).filter((item) => truthy(keep(item))),
+  },
+  today: {
+    args: [0, 0],
+    doc: "today(): today's date (YYYY-MM-DD)",
+    fn: () => formatISODate(today()),
+  },
+  days_between: {
+    args: [2, 2],
+    doc: "days_between(from, to): whole days from `from` to `to`",
+    fn: (from, to) => daysBetween(from, to),
+  },
+  age_from: {
+    args: [1, 2],
+    doc: "age_from(dob, at = today): completed years",
+    fn: (dob, at) => ageFrom(dob, at === undefined ? today() : at),
+  },
+  add_duration: {
+    args: [2, 2],
+    doc: "add_duration(date, duration): date moved by a duration ('7d', '3m')",
+    fn: (date, duration) => {
+      const d = addDuration(
+        date,
+        isDuration(duration) ? duration : parseDuration(toText(duration))
+      );
+      return d ? formatISODate(d) : null;
+    },
+  },
+  format_date: {
+    args: [1, 2],
+    doc: "format_date(date, pattern = 'dd/MM/yyyy'): tokens yyyy yy MMM MM M dd d",
+    fn: (date, pattern) =>
+      formatDate(date, isBlank(pattern) ? undefined : toText(pattern)),
+  },
+  ...CLINICAL_FUNCTIONS,
+};
+
+const KEYWORDS = {
+  and: "&&",
+  or: "||",
+  not: "!",
+  true: true,
+  false: false,
+  null: null,
+};
+const OPERATORS = [
+  "===",
+  "!==",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "!",
+  "?",
+  ":",
+  "(",
+  ")",
+  ",",
+  ".",
+];
+const EQUALITY_ALIASES = { "===": "==", "!==": "!=" };
+const CACHE_LIMIT = 500;
+const cache = new Map();
+
+/**
+ * Parse a formula into an AST (cached per formula text).
+ * Node shapes:
+ *   { type: "literal", value }
+ *   { type: "ref", name, path, start, end }       field id (path: [] or ["code"], ...)
+ *   { type: "call", name, args, start, end }      FORMULA_FUNCTIONS call
+ *   { type: "member", object, path, start, end }  path into a call or (...) result
+ *   { type: "unary", op: "-" | "!", operand }
+ *   { type: "binary", op, left, right }           arithmetic and comparison
+ *   { type: "and" | "or", left, right }
+ *   { type: "conditional", test, then, else }
+ * @param {string} formula
+ * @returns {Object}
+ * @throws {FormulaSyntaxError}
+ */
+export function compileFormula(formula) {
+  const text = String(formula);
+  if (cache.has(text)) return cache.get(text);
+  const ast = new Parser(text).parse();
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  cache.set(text, ast);
+  return ast;
+}
+
+/**
+ * Evaluate a formula.
+ * @param {string|Object} formula Formula text or compiled AST.
+ * @param {(id:string) => any} getValue Field value lookup.
+ * @returns {any} null when the result is empty, not a number (NaN, Infinity) or
+ *   the formula is invalid.
+ */
+export function evaluateFormula(formula, getValue) {
+  if (formula === undefined || formula === null || formula === "") return null;
+  let ast;
+  try {
+    ast = typeof formula === "string" ? compileFormula(formula) : formula;
+  } catch {
+    // Invalid formulas show nothing; the linter reports them
+    return null;
+  }
+  const value = evaluateNode(ast, getValue);
+  if (typeof value === "number" && !Number.isFinite(value)) return null;
+  return isBlank(value) ? null : value;
+}
+
+/**
+ * Display text of a formula result: lists are joined with ", ", rows with
+ * spaces, dates as YYYY-MM-DD; empty is "".
+ * @param {any} value
+ * @returns {string}
+ */
+export function formulaText(value) {
+  return toText(value);
+}
+
+/**
+ * Field references in a formula, in source order. Names inside a scoped
+ * argument (the condition of `filter`) may be item properties and are `optional`.
+ * @param {string|Object} formulaOrAst
+ * @returns {Array<{name:string, start:number, end:number, optional:boolean}>}
+ * @throws {FormulaSyntaxError} when given unparseable text
+ */
+export function formulaRefs(formulaOrAst) {
+  const ast =
+    typeof formulaOrAst === "string"
+      ? compileFormula(formulaOrAst)
+      : formulaOrAst;
+  const refs = [];
+  const walk = (node, optional) => {
+    if (!node) return;
+    if (node.type === "ref")
+      refs.push({
+        name: node.name,
+        start: node.start,
+        end: node.end,
+        optional,
+      });
+    [node.left, node.right, node.operand, node.test, node.then, node.else]
+      .concat(node.object)
+      .forEach((child) => walk(child, optional));
+    const scope =
+      node.type === "call" ? FORMULA_FUNCTIONS[node.name].scope : undefined;
+    (node.args || []).forEach((arg, idx) =>
+      walk(arg, optional || idx === scope)
+    );
+  };
+  walk(ast, false);
+  return refs.sort((a, b) => a.start - b.start);
+}
+
+// #region Tokenizer
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if (ch === '"' || ch === "'") {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === "\\" && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length)
+        throw new FormulaSyntaxError("Unterminated string", start, text.length);
+      i++;
+      tokens.push({ type: "literal", value, start, end: i });
+      continue;
+    }
+    const num = /^(?:\d+(?:\.\d+)?|\.\d+)/.exec(text.slice(i));
+    if (num) {
+      i += num[0].length;
+      if (/[A-Za-z_]/.test(text[i] || ""))
+        throw new FormulaSyntaxError(
+          `Invalid number '${text.slice(start, i + 1)}'`,
+          start,
+          i + 1
+        );
+      tokens.push({ type: "literal", value: Number(num[0]), start, end: i });
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+    if (word) {
+      i += word[0].length;
+      const key = word[0];
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, key)) {
+        const kw = KEYWORDS[key];
+        tokens.push(
+          typeof kw === "string"
+            ? { type: "op", value: kw, start, end: i }
+            : { type: "literal", value: kw, start, end: i }
+        );
+      } else tokens.push({ type: "ident", value: key, start, end: i });
+      continue;
+    }
+    const op = OPERATORS.find((o) => text.startsWith(o, i));
+    if (!op)
+      throw new FormulaSyntaxError(`Unexpected character '${ch}'`, start);
+    i += op.length;
+    tokens.push({ type: "op", value: op, start, end: i });
+  }
+  tokens.push({ type: "end", value: "", start: text.length, end: text.length });
+  return tokens;
+}
+
+// #endregion
+
+// #region Parser
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isOp(...values) {
+    const t = this.peek();
+    return t.type === "op" && values.includes(t.value);
+  }
+
+  expect(value) {
+    if (!this.isOp(value)) throw this.expected(`'${value}'`, this.peek());
+    return this.next();
+  }
+
+  expected(what, token) {
+    const found =
+      token.type === "end"
+        ? "end of formula"
+        : `'${this.text.slice(token.start, token.end)}'`;
+    return new FormulaSyntaxError(
+      `Expected ${what}, found ${found}`,
+      token.start,
+      Math.max(token.end, token.start + 1)
+    );
+  }
+
+  parse() {
+    if (this.peek().type === "end")
+      throw new FormulaSyntaxError("Empty formula", 0, 0);
+    const node = this.parseConditional();
+    if (this.peek().type !== "end")
+      throw this.expected("an operator", this.peek());
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseOr();
+    if (!this.isOp("?")) return test;
+    this.next();
+    const then = this.parseConditional();
+    this.expect(":");
+    return { type: "conditional", test, then, else: this.parseConditional() };
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isOp("||")) {
+      this.next();
+      left = { type: "or", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseBinary(0);
+    while (this.isOp("&&")) {
+      this.next();
+      left = { type: "and", left, right: this.parseBinary(0) };
+    }
+    return left;
+  }
+
+  // Binary operator levels, loosest first
+  parseBinary(level) {
+    const LEVELS = [
+      ["==", "!=", "===", "!=="],
+      ["<", ">", "<=", ">="],
+      ["+", "-"],
+      ["*", "/", "%"],
+    ];
+    if (level >= LEVELS.length) return this.parseUnary();
+    let left = this.parseBinary(level + 1);
+    while (this.isOp(...LEVELS[level])) {
+      const op = this.next().value;
+      left = {
+        type: "binary",
+        op: EQUALITY_ALIASES[op] || op,
+        left,
+        right: this.parseBinary(level + 1),
+      };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp("-", "!", "+")) {
+      const op = this.next().value;
+      const operand = this.parseUnary();
+      return op === "+" ? operand : { type: "unary", op, operand };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (token.type === "literal")
+      return { type: "literal", value: token.value };
+    if (token.type === "op" && token.value === "(") {
+      const inner = this.parseConditional();
+      return this.parseMember(inner, token.start, this.expect(")").end);
+    }
+    if (token.type !== "ident") throw this.expected("a value", token);
+    if (this.isOp("(")) {
+      const call = this.parseCall(token);
+      return this.parseMember(call, call.start, call.end);
+    }
+    const { path, end } = this.parsePath(token.end);
+    if (this.isOp("("))
+      throw new FormulaSyntaxError(
+        "Only built-in functions can be called",
+        token.start,
+        end
+      );
+    return { type: "ref", name: token.value, path, start: token.start, end };
+  }
+
+  // `.prop.prop...` after a value
+  parsePath(end) {
+    const path = [];
+    while (this.isOp(".")) {
+      this.next();
+      const prop = this.next();
+      if (prop.type !== "ident") throw this.expected("a property name", prop);
+      path.push(prop.value);
+      end = prop.end;
+    }
+    return { path, end };
+  }
+
+  parseMember(object, start, objectEnd) {
+    const { path, end } = this.parsePath(objectEnd);
+    return path.length ? { type: "member", object, path, start, end } : object;
+  }
+
+  parseCall(token) {
+    const name = token.value;
+    const spec = Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, name)
+      ? FORMULA_FUNCTIONS[name]
+      : null;
+    if (!spec)
+      throw new FormulaSyntaxError(
+        `Unknown function '${name}'`,
+        token.start,
+        token.end
+      );
+    this.next(); // (
+    const args = [];
+    while (!this.isOp(")")) {
+      args.push(this.parseConditional());
+      if (this.isOp(",")) this.next();
+      else if (!this.isOp(")")) throw this.expected("',' or ')'", this.peek());
+    }
+    const close = this.next();
+    const [min, max] = spec.args;
+    if (args.length < min || args.length > max) {
+      const expected =
+        min === max
+          ? `${min}`
+          : max === Infinity
+            ? `at least ${min}`
+            : `${min} to ${max}`;
+      const plural = /\b1$/.test(expected) ? "" : "s";
+      throw new FormulaSyntaxError(
+        `${name}() takes ${expected} argument${plural}, got ${args.length}`,
+        token.start,
+        close.end
+      );
+    }
+    return { type: "call", name, args, start: token.start, end: close.end };
+  }
+}
+
+// #endregion
+
+// #region Evaluation
+
+function evaluateNode(node, getValue) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "ref": {
+      const value = getValue(node.name);
+      return blankToNull(applyPath(collection(value), node.path));
+    }
+    case "member":
+      return blankToNull(
+        applyPath(evaluateNode(node.object, getValue), node.path)
+      );
+    case "call": {
+      const spec = FORMULA_FUNCTIONS[node.name];
+      // A scoped argument is passed as a function of the item to evaluate it for
+      const args = node.args.map((arg, idx) =>
+        idx === spec.scope
+          ? (item) => evaluateNode(arg, itemScope(item, getValue))
+          : evaluateNode(arg, getValue)
+      );
+      return blankToNull(spec.fn(...args));
+    }
+    case "conditional":
+      return truthy(evaluateNode(node.test, getValue))
+        ? evaluateNode(node.then, getValue)
+        : evaluateNode(node.else, getValue);
+    case "and":
+      return (
+        truthy(evaluateNode(node.left, getValue)) &&
+        truthy(evaluateNode(node.right, getValue))
+      );
+    case "or":
+      return (
+        truthy(evaluateNode(node.left, getValue)) ||
+        truthy(evaluateNode(node.right, getValue))
+      );
+    case "unary": {
+      const value = evaluateNode(node.operand, getValue);
+      if (node.op === "!") return !truthy(value);
+      const n = toNumber(value);
+      return n === null ? null : -n;
+    }
+    case "binary":
+      return binary(
+        node.op,
+        evaluateNode(node.left, getValue),
+        evaluateNode(node.right, getValue)
+      );
+    default:
+      return null;
+  }
+}
+
+// Inside a scoped argument, `item` and the item's own properties shadow field ids
+function itemScope(item, getValue) {
+  return (id) => {
+    if (id === "item") return item;
+    if (
+      item &&
+      typeof item === "object" &&
+      !Array.isArray(item) &&
+      Object.prototype.hasOwnProperty.call(item, id)
+    )
+      return item[id];
+    return getValue(id);
+  };
+}
+
+function binary(op, a, b) {
+  if (["==", "!=", "<", ">", "<=", ">="].includes(op))
+    return compareValues(op, nullToBlank(a), nullToBlank(b));
+  if (isBlank(a) || isBlank(b)) return null;
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (op === "+")
+    return na !== null && nb !== null ? na + nb : toText(a) + toText(b);
+  if (na === null || nb === null) return null;
+  if (op === "-") return na - nb;
+  if (op === "*") return na * nb;
+  if (nb === 0) return null; // division by zero
+  return op === "/" ? na / nb : na % nb;
+}
+
+// #endregion
+
+// #region Coercion
+
+// Collection values (table rows, list items, DataEditor entries) without the
+// blank rows editors keep for input
+function collection(v) {
+  if (v === undefined) return null;
+  return Array.isArray(v) ? v.filter((item) => !isBlankItem(item)) : v;
+}
+
+// A row is blank when every cell is; a `{ value, unit }` when its value is
+function isBlankItem(item) {
+  if (isBlank(item)) return true;
+  if (!item || typeof item !== "object" || item instanceof Date) return false;
+  if ("value" in item && "unit" in item) return isBlankItem(item.value);
+  return Object.keys(item).every((key) => isBlankItem(item[key]));
+}
+
+// The non-empty items of a list; a single value is a list of one
+function items(v) {
+  const list = Array.isArray(v) ? v : [v];
+  return list.filter((item) => !isBlankItem(item));
+}
+
+function numbers(values) {
+  return values
+    .flat()
+    .map(toNumber)
+    .filter((n) => n !== null);
+}
+
+function isBlank(v) {
+  return isEmpty(v) || (typeof v === "number" && isNaN(v));
+}
+
+function blankToNull(v) {
+  return isBlank(v) ? null : v;
+}
+
+function nullToBlank(v) {
+  return v === null || v === undefined ? "" : v;
+}
+
+// Numbers, numeric text and booleans (checkboxes) are numbers; nothing else is
+function toNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  if (typeof v !== "string") return null;
+  const s = v.trim();
+  return /^[-+]?(?:\d+(?:\.\d+)?|\.\d+)$/.test(s) ? Number(s) : null;
+}
+
+function toText(v) {
+  if (v === null || v === undefined) return "";
+  if (v instanceof Date) return formatISODate(v);
+  if (isDuration(v)) return `${v.value} ${v.unit}`;
+  if (Array.isArray(v))
+    return v
+      .filter((x) => !isBlank(x))
+      .map(toText)
+      .join(", ");
+  if (typeof v === "number") return String(Math.round(v * 1e10) / 1e10);
+  if (typeof v === "object")
+    return Object.keys(v)
+      .map((key) => v[key])
+      .filter((x) => !isBlankItem(x))
+      .map(toText)
+      .join(" ");
+  return String(v);
+}
+
+function numeric(fn) {
+  return (x) => {
+    const n = toNumber(x);
+    return n === null ? null : fn(n);
+  };
+}
+
+function extreme(values, pick) {
+  const ns = numbers(values);
+  return ns.length ? pick(...ns) : null;
+}
+
+// #endregion
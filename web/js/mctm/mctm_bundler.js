@@ -0,0 +1,144 @@
+import {
+  parseMCTMResolved,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+} from "./mctm_parser.js";
+import { serializeMCTM } from "./mctm_serializer.js";
+
+// Self-contained template bundles.
+// bundleMCTM resolves every @include / @extends (recursively) and applies #overrides,
+// so the result no longer needs the included templates at runtime. Two outputs:
+//   - "mctm": one plain .mctm file; `// from <path>` comments mark content that came
+//     from another template
+//   - "json": { format: "mctm-bundle", version, source, sources, meta, ast }, which
+//     parseMCTMResolved loads directly (options.bundle, or as the source text)
+// Both record every source file with the SHA-256 of its content. Output is
+// deterministic (no timestamps) so bundles can be committed and diffed.
+
+export const BUNDLE_OUTPUT_FORMATS = ["mctm", "json"];
+
+/**
+ * Bundle a template and everything it includes or extends.
+ * @param {string} source MCTM text of the root template.
+ * @param {Object} [options] parseMCTMResolved options (baseURL, fetchImpl, onError,
+ *   maxIncludeDepth) plus:
+ * @param {'mctm'|'json'} [options.format] Output format (default "mctm").
+ * @param {string} [options.sourceName] Path recorded for the root template.
+ * @returns {Promise<{text:string, sources:Array<{path:string, sha256:string}>, meta:Object, ast:Array, diagnostics:Array}>}
+ */
+export async function bundleMCTM(source, options = {}) {
+  const {
+    format = "mctm",
+    sourceName = "template.mctm",
+    fetchImpl = typeof fetch !== "undefined" ? fetch : null,
+    ...resolveOptions
+  } = options;
+  if (!BUNDLE_OUTPUT_FORMATS.includes(format))
+    throw new Error(`Unknown bundle format '${format}'`);
+
+  // Record every fetched template (in load order) so it can be hashed
+  const fetched = new Map();
+  const recordingFetch = fetchImpl
+    ? async (url) => {
+        const res = await fetchImpl(url);
+        if (!res.ok) return res;
+        const text = await res.text();
+        fetched.set(String(url), text);
+        return {
+          ok: true,
+          status: res.status,
+          statusText: res.statusText,
+          text: async () => text,
+        };
+      }
+    : null;
+
+  const parsed = await parseMCTMResolved(source, {
+    ...resolveOptions,
+    fetchImpl: recordingFetch,
+    sourceName,
+  });
+
+  const sources = [{ path: sourceName, sha256: await sha256(source) }];
+  for (const [url, text] of fetched) {
+    const entry = {
+      path: relativePath(url, resolveOptions.baseURL),
+      sha256: await sha256(text),
+    };
+    if (!sources.some((s) => s.path === entry.path)) sources.push(entry);
+  }
+
+  const text =
+    format === "json"
+      ? JSON.stringify(
+          {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            source: sourceName,
+            sources,
+            meta: parsed.meta,
+            ast: stripLoc(parsed.ast),
+          },
+          null,
+          2
+        ) + "\n"
+      : serializeMCTM(
+          markProvenance(parsed.ast, sourceName),
+          parsed.meta,
+          [],
+          {
+            headerComments: [
+              `// MCTM bundle of ${sourceName} - generated file, edit the sources instead`,
+              ...sources.map((s) => `// source: ${s.path} sha256:${s.sha256}`),
+            ],
+          }
+        );
+
+  return {
+    text,
+    sources,
+    meta: parsed.meta,
+    ast: parsed.ast,
+    diagnostics: parsed.diagnostics,
+  };
+}
+
+// Copy of the AST with a `// from <path>` comment wherever content switches to a
+// different source than its surroundings.
+function markProvenance(nodes, context) {
+  const out = [];
+  let current = context;
+  nodes.filter(Boolean).forEach((node) => {
+    const source = (node.loc && node.loc.source) || context;
+    if (source !== current) {
+      out.push({ type: "comment", text: `// from ${source}` });
+      current = source;
+    }
+    const copy = { ...node };
+    if (node.children) copy.children = markProvenance(node.children, source);
+    out.push(copy);
+  });
+  return out;
+}
+
+function stripLoc(nodes) {
+  return nodes.filter(Boolean).map((node) => {
+    const { line, loc, ...rest } = node;
+    if (rest.children) rest.children = stripLoc(rest.children);
+    return rest;
+  });
+}
+
+function relativePath(url, baseURL) {
+  const base = baseURL ? String(baseURL) : "";
+  return base && url.startsWith(base) ? url.slice(base.length) : url;
+}
+
+async function sha256(text) {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) throw new Error("SHA-256 is not available (crypto.subtle)");
+  const digest = await subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
@@ -0,0 +1,329 @@
+// Shared diagnostic model for the MCTM parser, linter and command-line tooling.
+//
+// Diagnostic shape:
+//   {
+//     level: 'error' | 'warning',
+//     code: 'MCTM012',            // stable rule code
+//     rule: 'duplicate-id',       // stable rule name
+//     message: string,
+//     line, column,               // 1-based start position
+//     endLine, endColumn,         // 1-based end position (endColumn is exclusive)
+//     fixes?: [{ title, edits: [{ line, column, endLine, endColumn, text }] }]
+//   }
+//
+// A fix edit replaces the source text between its start and end position with
+// `text` (an empty range is an insertion). Edits of one fix never overlap.
+
+// Levels of a template `@rule`, as of diagnostics; failing `error` rules block
+// export. Read by the linter and by the form's rule checks (validation.js).
+export const RULE_LEVELS = ["error", "warning"];
+
+export const MCTM_RULES = {
+  "meta-required": {
+    code: "MCTM001",
+    level: "error",
+    description: "A required metadata key is missing.",
+  },
+  "unknown-field-type": {
+    code: "MCTM002",
+    level: "warning",
+    description: "A field fence uses a type that is not part of the spec.",
+  },
+  "missing-required-prop": {
+    code: "MCTM003",
+    level: "error",
+    description: "A field is missing a property its type requires.",
+  },
+  "unknown-prop": {
+    code: "MCTM004",
+    level: "warning",
+    description: "A property is not recognized for the field type.",
+  },
+  "missing-label": {
+    code: "MCTM005",
+    level: "warning",
+    description: "An input field has no label.",
+  },
+  "min-greater-than-max": {
+    code: "MCTM006",
+    level: "error",
+    description:
+      "A numeric field declares min greater than max (or warn_min greater than warn_max).",
+  },
+  "invalid-namespace": {
+    code: "MCTM007",
+    level: "warning",
+    description: "A pdf.* / ui.* namespaced property is malformed.",
+  },
+  "invalid-formula": {
+    code: "MCTM008",
+    level: "error",
+    description: "A computed formula does not parse.",
+  },
+  "unknown-condition-ref": {
+    code: "MCTM009",
+    level: "warning",
+    description:
+      "An if:, required_if: or readonly_if: condition references an unknown field.",
+  },
+  "empty-section": {
+    code: "MCTM010",
+    level: "warning",
+    description: "A section has no content.",
+  },
+  "empty-group": {
+    code: "MCTM011",
+    level: "warning",
+    description: "A group has no content.",
+  },
+  "duplicate-id": {
+    code: "MCTM012",
+    level: "error",
+    description: "Two fields share the same id.",
+  },
+  "unknown-layout": {
+    code: "MCTM013",
+    level: "warning",
+    description: "A group declares an unknown layout.",
+  },
+  "toggle-without-id": {
+    code: "MCTM014",
+    level: "warning",
+    description: "A toggle group has no id, so its state cannot be referenced.",
+  },
+  "include-missing-template": {
+    code: "MCTM015",
+    level: "error",
+    description: "An @include has no template property.",
+  },
+  "include-missing-part": {
+    code: "MCTM016",
+    level: "error",
+    description: "An @include has no id (or part) property.",
+  },
+  "include-unresolved": {
+    code: "MCTM017",
+    level: "error",
+    description: "An @include could not be resolved.",
+  },
+  "override-unknown-target": {
+    code: "MCTM018",
+    level: "warning",
+    description: "An override references an unknown id.",
+  },
+  "override-non-field": {
+    code: "MCTM019",
+    level: "warning",
+    description:
+      "An override assigns a value (or a structural property) to a section or group.",
+  },
+  "unclosed-fence": {
+    code: "MCTM020",
+    level: "error",
+    description: "A field fence is never closed with '@'.",
+  },
+  "unmatched-brace": {
+    code: "MCTM021",
+    level: "warning",
+    description: "A '}' line has no open group to close.",
+  },
+  "unclosed-group": {
+    code: "MCTM022",
+    level: "error",
+    description: "A group is never closed with '}'.",
+  },
+  "stray-fence-close": {
+    code: "MCTM023",
+    level: "warning",
+    description: "A closing '@' line has no open field fence.",
+  },
+  "unclosed-meta": {
+    code: "MCTM024",
+    level: "error",
+    description: "The metadata block is never closed with '---'.",
+  },
+  "unclosed-overrides": {
+    code: "MCTM025",
+    level: "error",
+    description: "An #overrides block is never closed with '#end'.",
+  },
+  "misplaced-extends": {
+    code: "MCTM026",
+    level: "error",
+    description: "An @extends directive is repeated or appears after template content.",
+  },
+  "extends-unresolved": {
+    code: "MCTM027",
+    level: "error",
+    description: "An @extends template could not be resolved or merged.",
+  },
+  "unknown-merge-mode": {
+    code: "MCTM028",
+    level: "warning",
+    description: "A section or group declares an unknown merge mode.",
+  },
+  "invalid-override": {
+    code: "MCTM029",
+    level: "error",
+    description: "An override directive is malformed or cannot be applied.",
+  },
+  "unknown-macro": {
+    code: "MCTM030",
+    level: "error",
+    description: "An @use references a macro that is not defined.",
+  },
+  "macro-missing-arg": {
+    code: "MCTM031",
+    level: "error",
+    description: "An @use omits a required macro parameter.",
+  },
+  "macro-unknown-arg": {
+    code: "MCTM032",
+    level: "warning",
+    description: "A macro argument or placeholder does not match a declared parameter.",
+  },
+  "macro-recursion": {
+    code: "MCTM033",
+    level: "error",
+    description: "A macro expands itself, directly or through other macros.",
+  },
+  "invalid-define": {
+    code: "MCTM034",
+    level: "error",
+    description: "An @define block is unnamed, duplicated or never closed.",
+  },
+  "computed-cycle": {
+    code: "MCTM035",
+    level: "error",
+    description: "Computed field formulas depend on each other in a cycle.",
+  },
+  "unavailable-ref": {
+    code: "MCTM036",
+    level: "warning",
+    description:
+      "A condition, formula or format reads a field that is conditionally absent or always empty.",
+  },
+  "unused-computed": {
+    code: "MCTM037",
+    level: "warning",
+    description: "A computed field is hidden everywhere and nothing reads it.",
+  },
+  "invalid-condition": {
+    code: "MCTM038",
+    level: "error",
+    description:
+      "An if:, required_if: or readonly_if: condition does not parse.",
+  },
+  "unknown-formula-ref": {
+    code: "MCTM039",
+    level: "warning",
+    description: "A computed formula references an unknown field.",
+  },
+  "invalid-format": {
+    code: "MCTM040",
+    level: "warning",
+    description: "A computed field has an unknown output format.",
+  },
+  "invalid-default": {
+    code: "MCTM041",
+    level: "error",
+    description: "An expression default (default:=...) does not parse.",
+  },
+  "unknown-default-ref": {
+    code: "MCTM042",
+    level: "warning",
+    description: "An expression default references an unknown field.",
+  },
+  "invalid-rule": {
+    code: "MCTM043",
+    level: "error",
+    description:
+      "An @rule has no check:, a check that does not parse, or an unknown level.",
+  },
+  "unknown-rule-ref": {
+    code: "MCTM044",
+    level: "warning",
+    description: "An @rule check references an unknown field.",
+  },
+  "unknown-vital": {
+    code: "MCTM045",
+    level: "warning",
+    description: "A numeric field names a vital with no plausible range.",
+  },
+};
+
+/**
+ * Look up a rule definition by its code (e.g. "MCTM012").
+ * @param {string} code
+ * @returns {{name:string, code:string, level:string, description:string}|null}
+ */
+export function getRuleByCode(code) {
+  for (const [name, rule] of Object.entries(MCTM_RULES)) {
+    if (rule.code === code) return { name, ...rule };
+  }
+  return null;
+}
+
+/**
+ * Build a diagnostic for a registered rule.
+ * @param {string} ruleName Key of MCTM_RULES.
+ * @param {string} message
+ * @param {{line?:number,column?:number,endLine?:number,endColumn?:number,source?:string}} [range]
+ *   `source` names the included / extended template the range is in (the
+ *   node's `loc.source`); it is copied to the diagnostic. Without it the range
+ *   is in the linted document.
+ * @param {Array<{title:string, edits:Array}>} [fixes]
+ * @param {'error'|'warning'} [level] Overrides the rule's default level.
+ */
+export function createDiagnostic(ruleName, message, range = {}, fixes, level) {
+  const rule = MCTM_RULES[ruleName];
+  if (!rule) throw new Error(`Unknown MCTM rule '${ruleName}'`);
+  const line = range.line || 1;
+  const column = range.column || 1;
+  const d = {
+    level: level || rule.level,
+    code: rule.code,
+    rule: ruleName,
+    message,
+    line,
+    column,
+    endLine: range.endLine || line,
+    endColumn: range.endColumn || column,
+  };
+  if (range.source !== undefined) d.source = range.source;
+  if (fixes && fixes.length) d.fixes = fixes;
+  return d;
+}
+
+/**
+ * Build a single-edit fix.
+ * @param {string} title
+ * @param {{line:number,column:number,endLine?:number,endColumn?:number}} range
+ * @param {string} text Replacement text.
+ */
+export function createFix(title, range, text) {
+  return {
+    title,
+    edits: [
+      {
+        line: range.line,
+        column: range.column,
+        endLine: range.endLine || range.line,
+        endColumn: range.endColumn || range.column,
+        text,
+      },
+    ],
+  };
+}
+
+export function compareDiagnostics(a, b) {
+  return (
+    (a.line || 0) - (b.line || 0) ||
+    (a.column || 0) - (b.column || 0) ||
+    severityRank(a) - severityRank(b)
+  );
+}
+
+function severityRank(d) {
+  return d.level === "error" ? 0 : 1;
+}
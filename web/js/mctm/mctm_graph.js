@@ -0,0 +1,283 @@
+import {
+  conditionRefs as parseConditionRefs,
+  defaultExpression,
+} from "../conditional.js";
+import { formulaRefs as parseFormulaRefs } from "../formula.js";
+
+// Static dependency analysis for resolved MCTM templates.
+//
+// buildDependencyGraph(ast) records which ids every `if:`, `required_if:`,
+// `readonly_if:`, computed `formula:`, expression `default:`, group/section
+// `format:` and `@rule` `check:` reads.
+// Nodes that depend on something are identified by their id; an edge
+// { from, node, to, prop } means `node` (id `from`, possibly null) reads `to`
+// through `prop`. Only references to ids declared in the AST are
+// edges; bare words in conditions (`sex==Female`) are values, not references.
+//
+// The graph is used by the linter (cycles, unavailable references, unused
+// computed fields) and by the runtime to evaluate computed fields in dependency
+// order (orderComputed).
+
+const PLACEHOLDER_RE = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+// Field types whose value never comes from user input
+const DERIVED_TYPES = ["computed", "hidden", "static"];
+
+/**
+ * Build the dependency graph of a resolved template.
+ * @param {Array} ast Resolved AST (includes, extends and overrides applied).
+ * @returns {{
+ *   nodes: Map<string, {id:string, node:Object, order:number, conditions:Object[], hidden:boolean}>,
+ *   edges: Array<{from:string|null, node:Object, to:string, prop:string}>,
+ *   dependencies: Map<string, Set<string>>,
+ *   dependents: Map<string, Set<string>>,
+ *   computedOrder: string[],
+ *   cycles: string[][],
+ *   unused: string[]
+ * }}
+ *   `conditions` are the nodes (the node itself and its ancestors) whose `if:`
+ *   must hold for the node to be present; `hidden` is true when the node or an
+ *   ancestor has `ui.hidden`. `dependents` has an entry for every id something
+ *   reads (the set omits readers without an id). `computedOrder` lists computed
+ *   field ids so that every field comes after the computed fields it reads
+ *   (cycle members last, in document order). `unused` lists field ids nothing
+ *   depends on; the linter only reports the computed ones hidden in both the
+ *   UI and the PDF (MCTM037), as every other field is exported.
+ */
+export function buildDependencyGraph(ast) {
+  const nodes = new Map();
+  const owners = [];
+  let order = 0;
+  const walk = (list, conditions, hidden) => {
+    (list || []).forEach((node) => {
+      if (!node || typeof node !== "object") return;
+      // Rules read fields but are not fields themselves
+      if (node.type === "rule") owners.push(node);
+      if (!["field", "section", "group"].includes(node.type)) return;
+      const own = node.if ? [...conditions, node] : conditions;
+      const isHidden = hidden || (node.ui && node.ui.hidden) === true;
+      if (node.id && !nodes.has(node.id))
+        nodes.set(node.id, {
+          id: node.id,
+          node,
+          order: order++,
+          conditions: own,
+          hidden: isHidden,
+        });
+      owners.push(node);
+      if (node.children) walk(node.children, own, isHidden);
+    });
+  };
+  walk(ast, [], false);
+
+  const edges = [];
+  owners.forEach((node) => {
+    const from = node.id || null;
+    // `to:prop` keys of this node's edges. Readers may share an id (duplicates)
+    // or have none (rules), so edges are only merged within one node
+    const seen = new Set();
+    const add = (prop, ids) =>
+      ids.forEach((to) => {
+        const key = `${to}:${prop}`;
+        if (!nodes.has(to) || seen.has(key)) return;
+        seen.add(key);
+        edges.push({ from, node, to, prop });
+      });
+    if (node.if) add("if", conditionRefs(node.if));
+    ["required_if", "readonly_if"].forEach((prop) => {
+      if (node[prop]) add(prop, conditionRefs(node[prop]));
+    });
+    if (node.type === "field" && node.fieldType === "computed" && node.formula)
+      add("formula", formulaRefs(node.formula));
+    if (node.type !== "field" && node.format)
+      add("format", formatRefs(node.format));
+    const defaultExpr = node.type === "field" && defaultExpression(node.default);
+    if (defaultExpr) add("default", conditionRefs(defaultExpr));
+    if (node.type === "rule" && node.check)
+      add("check", conditionRefs(node.check));
+  });
+
+  const dependencies = new Map();
+  const dependents = new Map();
+  edges.forEach((e) => {
+    if (e.from) addToSet(dependencies, e.from, e.to);
+    if (e.from === e.to) return;
+    // Readers without an id (untitled groups) still count as dependents
+    if (!dependents.has(e.to)) dependents.set(e.to, new Set());
+    if (e.from) dependents.get(e.to).add(e.from);
+  });
+
+  const computed = [...nodes.values()]
+    .filter((n) => n.node.type === "field" && n.node.fieldType === "computed")
+    .map((n) => n.id);
+  const { sorted, cycles } = sortComputed(computed, edges);
+
+  const unused = [...nodes.values()]
+    .filter(
+      (n) =>
+        n.node.type === "field" &&
+        n.node.fieldType !== "static" &&
+        !dependents.has(n.id)
+    )
+    .map((n) => n.id);
+
+  return {
+    nodes,
+    edges,
+    dependencies,
+    dependents,
+    computedOrder: sorted,
+    cycles,
+    unused,
+  };
+}
+
+/**
+ * Sort computed field nodes into evaluation order.
+ * @param {Object[]} computedNodes
+ * @param {{computedOrder:string[]}|null} graph
+ * @returns {Object[]} A new array; nodes the graph does not know keep their relative order at the end.
+ */
+export function orderComputed(computedNodes, graph) {
+  if (!graph) return computedNodes;
+  const rank = new Map(graph.computedOrder.map((id, idx) => [id, idx]));
+  const last = graph.computedOrder.length;
+  return computedNodes
+    .map((node, idx) => ({ node, idx }))
+    .sort(
+      (a, b) =>
+        (rank.has(a.node.id) ? rank.get(a.node.id) : last) -
+          (rank.has(b.node.id) ? rank.get(b.node.id) : last) || a.idx - b.idx
+    )
+    .map((x) => x.node);
+}
+
+/**
+ * Why `id` may be unavailable to a node that reads it: the conditions of `id`
+ * the reader does not share, and whether it is an input hidden from the UI with
+ * no default (so it is always empty). A condition counts as shared when the
+ * reader itself reads every id the condition reads (a formula that checks
+ * `cig_or_pack` before using a field shown only for one of its values).
+ * @returns {{conditions:Object[], hiddenInput:boolean}|null} null when `id` is unknown.
+ */
+export function refAvailability(graph, readerNode, id) {
+  const target = graph.nodes.get(id);
+  if (!target) return null;
+  const reader = readerNode.id && graph.nodes.get(readerNode.id);
+  const shared = reader ? reader.conditions : readerNode.if ? [readerNode] : [];
+  const t = target.node;
+  const readerRefs = new Set(
+    graph.edges.filter((e) => e.node === readerNode).map((e) => e.to)
+  );
+  const guarded = (c) => {
+    const refs = graph.edges.filter((e) => e.node === c && e.prop === "if");
+    return refs.length > 0 && refs.every((e) => readerRefs.has(e.to));
+  };
+  return {
+    conditions: target.conditions.filter(
+      (c) => c !== readerNode && !shared.includes(c) && !guarded(c)
+    ),
+    hiddenInput:
+      target.hidden &&
+      t.type === "field" &&
+      !DERIVED_TYPES.includes(t.fieldType) &&
+      (t.default === undefined || t.default === ""),
+  };
+}
+
+// #region Reference extraction
+
+// Invalid conditions and formulas have no references (the linter reports them)
+function conditionRefs(expr) {
+  try {
+    return parseConditionRefs(String(expr)).map((ref) => ref.name);
+  } catch {
+    return [];
+  }
+}
+
+function formulaRefs(formula) {
+  try {
+    return parseFormulaRefs(String(formula)).map((ref) => ref.name);
+  } catch {
+    return [];
+  }
+}
+
+function formatRefs(format) {
+  return [...String(format).matchAll(PLACEHOLDER_RE)].map((m) => m[1]);
+}
+
+// #endregion
+
+// Kahn's algorithm over computed -> computed edges, document order breaking ties.
+// Fields left over are on (or behind) a cycle; cycles are the strongly connected
+// components with more than one member or a self-reference.
+function sortComputed(computed, edges) {
+  const isComputed = new Set(computed);
+  const deps = new Map(computed.map((id) => [id, new Set()]));
+  edges.forEach((e) => {
+    if (e.prop === "formula" && isComputed.has(e.from) && isComputed.has(e.to))
+      deps.get(e.from).add(e.to);
+  });
+
+  const sorted = [];
+  const done = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const id of computed) {
+      if (done.has(id)) continue;
+      if ([...deps.get(id)].every((d) => done.has(d))) {
+        sorted.push(id);
+        done.add(id);
+        progress = true;
+        break; // restart so earlier fields keep priority
+      }
+    }
+  }
+  const rest = computed.filter((id) => !done.has(id));
+  return { sorted: [...sorted, ...rest], cycles: stronglyConnected(rest, deps) };
+}
+
+// Tarjan's algorithm restricted to `ids`; returns the cyclic components in document order.
+function stronglyConnected(ids, deps) {
+  const inSet = new Set(ids);
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+  const visit = (id) => {
+    index.set(id, counter);
+    low.set(id, counter++);
+    stack.push(id);
+    onStack.add(id);
+    deps.get(id).forEach((d) => {
+      if (!inSet.has(d)) return;
+      if (!index.has(d)) {
+        visit(d);
+        low.set(id, Math.min(low.get(id), low.get(d)));
+      } else if (onStack.has(d)) low.set(id, Math.min(low.get(id), index.get(d)));
+    });
+    if (low.get(id) !== index.get(id)) return;
+    const component = [];
+    let top;
+    do {
+      top = stack.pop();
+      onStack.delete(top);
+      component.push(top);
+    } while (top !== id);
+    if (component.length > 1 || deps.get(id).has(id))
+      components.push(ids.filter((x) => component.includes(x)));
+  };
+  ids.forEach((id) => {
+    if (!index.has(id)) visit(id);
+  });
+  return components.sort((a, b) => ids.indexOf(a[0]) - ids.indexOf(b[0]));
+}
+
+function addToSet(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
@@ -1,4 +1,23 @@
-import { parseMCTM } from "./mctm_parser.js";
+import {
+  parseMCTM,
+  MERGE_MODES,
+  CONTAINER_LOCKED_PROPS,
+} from "./mctm_parser.js";
+import { buildDependencyGraph, refAvailability } from "./mctm_graph.js";
+import {
+  conditionRefs,
+  ConditionSyntaxError,
+  defaultExpression,
+} from "../conditional.js";
+import { formulaRefs, FormulaSyntaxError } from "../formula.js";
+import { parseComputedFormat } from "../utils/format.js";
+import { getKnownVitals } from "../utils/vitals.js";
+import {
+  RULE_LEVELS,
+  createDiagnostic,
+  createFix,
+  compareDiagnostics,
+} from "./mctm_diagnostics.js";
 
 export const MCTM_SPEC = {
   version: "1.0",
@@ -23,6 +42,8 @@ export const MCTM_SPEC = {
         "multiline",
         "pattern",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -36,8 +57,13 @@ export const MCTM_SPEC = {
         "placeholder",
         "min",
         "max",
+        "warn_min",
+        "warn_max",
+        "vital",
         "pattern",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "unit",
         "if",
@@ -52,6 +78,8 @@ export const MCTM_SPEC = {
         "trueValue",
         "falseValue",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -60,7 +88,16 @@ export const MCTM_SPEC = {
     },
     date: {
       required: ["id"],
-      optional: ["label", "required", "default", "if", "pdf", "ui"],
+      optional: [
+        "label",
+        "required",
+        "required_if",
+        "readonly_if",
+        "default",
+        "if",
+        "pdf",
+        "ui",
+      ],
     },
     select: {
       required: ["id"],
@@ -70,6 +107,8 @@ export const MCTM_SPEC = {
         "source",
         "multiple",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -78,7 +117,17 @@ export const MCTM_SPEC = {
     },
     table: {
       required: ["id"],
-      optional: ["label", "columns", "required", "default", "if", "pdf", "ui"],
+      optional: [
+        "label",
+        "columns",
+        "required",
+        "required_if",
+        "readonly_if",
+        "default",
+        "if",
+        "pdf",
+        "ui",
+      ],
     },
     list: {
       required: ["id"],
@@ -86,6 +135,8 @@ export const MCTM_SPEC = {
         "label",
         "placeholder",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -99,6 +150,8 @@ export const MCTM_SPEC = {
         "placeholder",
         "suggestions",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -111,6 +164,8 @@ export const MCTM_SPEC = {
         "label",
         "placeholder",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -124,6 +179,8 @@ export const MCTM_SPEC = {
         "suggestions",
         "shownegatives",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -136,6 +193,8 @@ export const MCTM_SPEC = {
         "label",
         "suggestions",
         "required",
+        "required_if",
+        "readonly_if",
         "default",
         "if",
         "pdf",
@@ -145,42 +204,101 @@ export const MCTM_SPEC = {
     static: { required: [], optional: ["content", "if", "pdf", "ui"] },
     computed: {
       required: ["id", "formula"],
-      optional: ["label", "format", "unit", "if", "pdf", "ui"],
+      optional: ["label", "format", "fallback", "unit", "if", "pdf", "ui"],
     },
     hidden: { required: ["id"], optional: ["default", "pdf", "ui"] },
   },
 };
 
-export function lintMCTM({ source, ast, meta, overrides = [] }) {
-  const diagnostics = [];
+// `diagnostics` takes the structural diagnostics reported by parseMCTM so a single
+// sorted list covers both parse recovery and lint checks. `graph` is the
+// buildDependencyGraph(ast) result when the caller already has one.
+// Nodes resolved from an @include / @extends template keep their position in
+// that template (`loc.source`); their diagnostics carry it as `source`, and
+// `sources` (loc.source -> template text) locates expressions inside them.
+// `resolved: false` marks an `ast` straight from parseMCTM: override targets
+// may then be in templates it includes or extends, so they are not checked.
+export function lintMCTM({
+  source,
+  ast,
+  meta,
+  overrides = [],
+  diagnostics: parseDiagnostics = [],
+  graph = buildDependencyGraph(ast),
+  sources = {},
+  resolved = true,
+}) {
+  const diagnostics = [...parseDiagnostics];
   const lines = source.split(/\r?\n/);
+  const sourceLines = new Map();
+  // Lines of the text declaring `node`; null when that text is not available
+  const linesFor = (node) => {
+    const name = sourceOf(node);
+    if (name === undefined) return lines;
+    if (!Object.prototype.hasOwnProperty.call(sources, name)) return null;
+    if (!sourceLines.has(name))
+      sourceLines.set(name, String(sources[name]).split(/\r?\n/));
+    return sourceLines.get(name);
+  };
 
   // 1. Meta required
   MCTM_SPEC.meta.required.forEach((key) => {
-    if (!meta[key])
-      diagnostics.push(
-        err(`Missing required meta: ${key}`, findMetaLine(lines, key) || 1)
-      );
+    if (!meta[key]) diagnostics.push(missingMetaDiagnostic(lines, key));
   });
 
   // 2. Overrides
   if (overrides && overrides.length) {
     overrides.forEach((ov) => {
-      if (!ov || !ov.target) return;
+      if (!ov) return;
+      const range = ov.loc || { line: ov.line };
+      // Ids missing from an unresolved AST may be in included templates
+      const unknown = (id) => resolved && !findNodeById(ast, id);
+      if (ov.op) {
+        // Structural directives; an applied #remove no longer finds its target
+        if (ov.op !== "insert" && !ov.applied && unknown(ov.target))
+          diagnostics.push(
+            createDiagnostic(
+              "override-unknown-target",
+              `Override references unknown node '${ov.target}'`,
+              range
+            )
+          );
+        if (ov.op !== "remove" && unknown(ov.ref))
+          diagnostics.push(
+            createDiagnostic(
+              "override-unknown-target",
+              `Override anchor '${ov.ref}' not found`,
+              ov.refLoc || range
+            )
+          );
+        return;
+      }
+      if (!ov.target) return;
       const parts = ov.target.split(".");
       const id = parts.shift();
-      const fieldNode = findFieldById(ast, id);
-      if (!fieldNode) {
+      const targetNode = findNodeById(ast, id);
+      if (!targetNode) {
+        if (!resolved) return;
         diagnostics.push(
-          warn(`Override references unknown field '${id}'`, ov.line || 1)
+          createDiagnostic(
+            "override-unknown-target",
+            `Override references unknown field '${id}'`,
+            range
+          )
         );
         return;
       }
-      if (fieldNode.type !== "field") {
+      if (
+        targetNode.type !== "field" &&
+        (!parts.length || CONTAINER_LOCKED_PROPS.includes(parts[0]))
+      ) {
         diagnostics.push(
-          warn(
-            `Override target '${id}' is not a field`,
-            ov.line || fieldNode.line
+          createDiagnostic(
+            "override-non-field",
+            parts.length
+              ? `Property '${parts[0]}' of ${targetNode.type} '${id}' cannot be overridden`
+              : `Override target '${id}' is a ${targetNode.type}; override one of its properties (e.g. '${id}.title')`,
+            range
           )
         );
         return;
@@ -190,24 +308,64 @@ export function lintMCTM({ source, ast, meta, overrides = [] }) {
 
   // 3. Duplicate IDs (fields only for now)
   const idCount = new Map();
+  const allIds = new Set();
+  walkNodes(ast, (node) => {
+    if (node && node.id) allIds.add(String(node.id));
+  });
   walkNodes(ast, (node) => {
     if (node && node.type === "field" && node.id) {
       const c = (idCount.get(node.id) || 0) + 1;
       idCount.set(node.id, c);
-      if (c > 1)
-        diagnostics.push(err(`Duplicate field id: ${node.id}`, node.line));
+      if (c > 1) {
+        const idRange = propValueRange(node, "id");
+        let renamed = `${node.id}_${c}`;
+        for (let n = c + 1; allIds.has(renamed); n++) renamed = `${node.id}_${n}`;
+        allIds.add(renamed);
+        diagnostics.push(
+          createDiagnostic(
+            "duplicate-id",
+            `Duplicate field id: ${node.id}`,
+            idRange || headerRange(node),
+            idRange && [createFix(`Rename to '${renamed}'`, idRange, renamed)]
+          )
+        );
+      }
     }
   });
 
   // 4. Unknown field types from raw source fences
-  const knownTypes = new Set([...Object.keys(MCTM_SPEC.fieldTypes), "include"]);
+  const knownTypes = new Set([
+    ...Object.keys(MCTM_SPEC.fieldTypes),
+    "include",
+    "extends",
+    "define",
+    "enddefine",
+    "use",
+    "rule",
+  ]);
+  // Static bodies are free text; their `@word` lines are not fences
+  const staticBody = new Set();
+  walkNodes(ast, (node) => {
+    const loc = node && node.fieldType === "static" && node.loc;
+    if (!loc || loc.source !== undefined || !loc.endLine) return;
+    for (let l = loc.line + 1; l < loc.endLine; l++) staticBody.add(l);
+  });
   lines.forEach((ln, idx) => {
+    if (staticBody.has(idx + 1)) return;
     const f = /^@([a-z][a-z0-9-]*)/i.exec(ln.trim());
     if (f) {
       const t = f[1];
       if (t === "mctm" && idx === 0) return;
-      if (!knownTypes.has(t))
-        diagnostics.push(warn(`Unknown field type: ${t}`, idx + 1));
+      if (!knownTypes.has(t)) {
+        const column = ln.indexOf("@") + 2;
+        diagnostics.push(
+          createDiagnostic("unknown-field-type", `Unknown field type: ${t}`, {
+            line: idx + 1,
+            column,
+            endColumn: column + t.length,
+          })
+        );
+      }
     }
   });
 
@@ -215,31 +373,52 @@ export function lintMCTM({ source, ast, meta, overrides = [] }) {
   ast
     .filter((n) => n.type === "section")
     .forEach((sec) => {
-      if (!sec.children.length)
-        diagnostics.push(warn(`Empty section: ${sec.title}`, sec.line));
-      if (sec.if) validateConditionRefs(sec, idCount, diagnostics);
+      if (!sec.children.length && sec.merge !== "drop")
+        diagnostics.push(
+          createDiagnostic(
+            "empty-section",
+            `Empty section: ${sec.title}`,
+            headerRange(sec)
+          )
+        );
+      if (sec.if)
+        validateConditionRefs(sec, idCount, diagnostics, linesFor(sec));
+      validateMergeMode(sec, diagnostics);
     });
   walkNodes(ast, (node) => {
     if (node && node.type === "group") {
-      if (!node.children || !node.children.length)
+      if ((!node.children || !node.children.length) && node.merge !== "drop")
         diagnostics.push(
-          warn(`Empty group: ${node.title || node.id}`, node.line)
+          createDiagnostic(
+            "empty-group",
+            `Empty group: ${node.title || node.id}`,
+            headerRange(node)
+          )
         );
       if (
         node.layout &&
         !/^vstack$|^hstack$|^columns-\d+$/i.test(String(node.layout))
-      )
+      ) {
+        const layoutRange = propValueRange(node, "layout");
         diagnostics.push(
-          warn(`Unknown group layout '${node.layout}'`, node.line)
+          createDiagnostic(
+            "unknown-layout",
+            `Unknown group layout '${node.layout}'`,
+            layoutRange || headerRange(node),
+            layoutRange && [createFix("Use 'vstack'", layoutRange, "vstack")]
+          )
         );
-      if (node.if) validateConditionRefs(node, idCount, diagnostics);
+      }
+      validateConditions(node, idCount, diagnostics, linesFor(node));
+      validateMergeMode(node, diagnostics);
       // Toggle group sanity
       if (node.toggle === true || String(node.toggle).toLowerCase() === "true") {
         if (!node.id)
           diagnostics.push(
-            warn(
+            createDiagnostic(
+              "toggle-without-id",
               `Toggle group should have an 'id' so its state can be referenced and exported`,
-              node.line
+              propRange(node, "toggle") || headerRange(node)
             )
           );
       }
@@ -254,39 +433,76 @@ export function lintMCTM({ source, ast, meta, overrides = [] }) {
     spec.required.forEach((r) => {
       if (!Object.prototype.hasOwnProperty.call(node, r))
         diagnostics.push(
-          err(
+          createDiagnostic(
+            "missing-required-prop",
             `Field ${node.id || "(no id)"} missing required prop '${r}'`,
-            node.line
+            headerRange(node)
           )
         );
     });
-    if (node.min !== undefined && node.max !== undefined) {
-      const mn = parseFloat(node.min),
-        mx = parseFloat(node.max);
+    [
+      ["min", "max"],
+      ["warn_min", "warn_max"],
+    ].forEach(([lo, hi]) => {
+      if (node[lo] === undefined || node[hi] === undefined) return;
+      const mn = parseFloat(node[lo]),
+        mx = parseFloat(node[hi]);
       if (!isNaN(mn) && !isNaN(mx) && mn > mx)
         diagnostics.push(
-          err(`min (${mn}) > max (${mx}) for field ${node.id}`, node.line)
+          createDiagnostic(
+            "min-greater-than-max",
+            `${lo} (${mn}) > ${hi} (${mx}) for field ${node.id}`,
+            propRange(node, hi) || headerRange(node)
+          )
+        );
+    });
+    if (node.vital !== undefined) {
+      const vitals = getKnownVitals();
+      if (!vitals.includes(String(node.vital).toLowerCase()))
+        diagnostics.push(
+          createDiagnostic(
+            "unknown-vital",
+            `Unknown vital '${node.vital}' for field ${node.id} (expected ${vitals.join(", ")})`,
+            propValueRange(node, "vital") || headerRange(node)
+          )
         );
     }
     if (
       !node.label &&
       !["static", "hidden", "computed"].includes(node.fieldType)
-    )
-      diagnostics.push(warn(`Field ${node.id} missing label`, node.line));
+    ) {
+      const anchor = propRange(node, "id");
+      diagnostics.push(
+        createDiagnostic(
+          "missing-label",
+          `Field ${node.id} missing label`,
+          anchor || headerRange(node),
+          anchor && [
+            createFix(
+              "Add label",
+              { line: anchor.endLine, column: anchor.endColumn },
+              ` label:"${humanizeId(node.id)}"`
+            ),
+          ]
+        )
+      );
+    }
     const allowed = new Set([
       ...spec.required,
       ...spec.optional,
       "fieldType",
       "type",
       "line",
+      "loc",
     ]);
     Object.keys(node).forEach((k) => {
       if (k === "pdf" || k === "ui") return; // handled below
       if (!allowed.has(k))
         diagnostics.push(
-          warn(
+          createDiagnostic(
+            "unknown-prop",
             `Property '${k}' not recognized for type ${node.fieldType}`,
-            node.line
+            propRange(node, k) || headerRange(node)
           )
         );
     });
@@ -297,53 +513,87 @@ export function lintMCTM({ source, ast, meta, overrides = [] }) {
       if (val == null) return;
       if (typeof val !== "object" || Array.isArray(val)) {
         diagnostics.push(
-          warn(`${ns} should be an object (e.g., { hidden: true })`, node.line)
+          createDiagnostic(
+            "invalid-namespace",
+            `${ns} should be an object (e.g., { hidden: true })`,
+            propRange(node, ns) || headerRange(node)
+          )
         );
         return;
       }
       const allowedSub = new Set(["hidden"]);
       Object.keys(val).forEach((sub) => {
+        const subRange = propRange(node, `${ns}.${sub}`) || headerRange(node);
         if (!allowedSub.has(sub))
           diagnostics.push(
-            warn(`Unknown ${ns}.* property '${sub}'`, node.line)
+            createDiagnostic(
+              "invalid-namespace",
+              `Unknown ${ns}.* property '${sub}'`,
+              subRange
+            )
           );
         else if (sub === "hidden" && typeof val[sub] !== "boolean")
-          diagnostics.push(warn(`${ns}.hidden should be boolean`, node.line));
+          diagnostics.push(
+            createDiagnostic(
+              "invalid-namespace",
+              `${ns}.hidden should be boolean`,
+              subRange
+            )
+          );
       });
     });
 
-    if (node.fieldType === "computed") {
-      if (node.formula) {
-        try {
-          new Function("ctx", `with(ctx){ return ${node.formula}; }`);
-        } catch (e) {
-          diagnostics.push(
-            err(`Invalid formula for ${node.id}: ${e.message}`, node.line)
-          );
-        }
-      }
-    }
-    if (node.if) validateConditionRefs(node, idCount, diagnostics);
+    if (node.fieldType === "computed" && node.formula)
+      validateFormula(node, idCount, diagnostics, linesFor(node));
+    if (defaultExpression(node.default) !== null)
+      validateDefaultExpression(node, idCount, diagnostics, linesFor(node));
+    if (
+      node.fieldType === "computed" &&
+      node.format !== undefined &&
+      !parseComputedFormat(node.format)
+    )
+      diagnostics.push(
+        createDiagnostic(
+          "invalid-format",
+          `Invalid format '${node.format}' for ${node.id} (expected decimal(n), integer, percent(n), thousands(n), date(pattern), duration or fraction)`,
+          propValueRange(node, "format") || headerRange(node)
+        )
+      );
+    validateConditions(node, idCount, diagnostics, linesFor(node));
   });
 
   // 7. Includes sanity
   walkNodes(ast, (node) => {
     if (node && node.type === "include") {
       if (!node.template)
-        diagnostics.push(err(`include missing 'template' property`, node.line));
+        diagnostics.push(
+          createDiagnostic(
+            "include-missing-template",
+            `include missing 'template' property`,
+            headerRange(node)
+          )
+        );
       if (!node.id && !node.part)
         diagnostics.push(
-          err(
+          createDiagnostic(
+            "include-missing-part",
             `include requires 'id' (or 'part') of the referenced section/group/field`,
-            node.line
+            headerRange(node)
           )
         );
     }
   });
 
-  return diagnostics.sort(
-    (a, b) => a.line - b.line || severityRank(a) - severityRank(b)
-  );
+  // 8. Cross-field rules
+  walkNodes(ast, (node) => {
+    if (node && node.type === "rule")
+      validateRule(node, idCount, diagnostics, linesFor(node));
+  });
+
+  // 9. Dependency graph
+  validateDependencies(graph, diagnostics);
+
+  return diagnostics.sort(compareDiagnostics);
 }
 
 export function parseAndLintMCTM(source) {
@@ -353,6 +603,8 @@ export function parseAndLintMCTM(source) {
     ast: parsed.ast,
     meta: parsed.meta,
     overrides: parsed.overrides,
+    diagnostics: parsed.diagnostics,
+    resolved: false,
   });
   return { ...parsed, diagnostics };
 }
@@ -368,6 +620,74 @@ function walkNodes(ast, fn) {
   (ast || []).forEach(walk);
 }
 
+// #region Source ranges
+
+// Template a resolved node was declared in (`loc.source`); undefined for the
+// linted document itself
+function sourceOf(node) {
+  return node && node.loc && typeof node.loc === "object"
+    ? node.loc.source
+    : undefined;
+}
+
+// `range` tagged with the template of `node`, so the diagnostic built from it
+// (and its fixes) point into that template
+function inSource(range, node) {
+  const source = sourceOf(node);
+  return range && source !== undefined ? { ...range, source } : range;
+}
+
+// Range of a node's opening line: the section/group title, or the `@type` token of a fence.
+function headerRange(node) {
+  const loc = node && typeof node.loc === "object" ? node.loc : null;
+  if (!loc || !loc.line)
+    return inSource({ line: (node && node.line) || 1 }, node);
+  if (loc.title) return inSource(loc.title, node);
+  if (["field", "include", "rule"].includes(node.type)) {
+    const type = node.type === "field" ? node.fieldType || "" : node.type;
+    return inSource(
+      {
+        line: loc.line,
+        column: loc.column,
+        endLine: loc.line,
+        endColumn: loc.column + 1 + type.length,
+      },
+      node
+    );
+  }
+  // `>` or `{` marker of an untitled section/group
+  return inSource(
+    {
+      line: loc.line,
+      column: loc.column,
+      endLine: loc.line,
+      endColumn: loc.column + 1,
+    },
+    node
+  );
+}
+
+// Range of a whole `key:value` token, or null when the parser did not record it.
+function propRange(node, key) {
+  const loc = node && typeof node.loc === "object" ? node.loc : null;
+  return inSource((loc && loc.props && loc.props[key]) || null, node);
+}
+
+// Range of just the value part of a `key:value` token.
+function propValueRange(node, key) {
+  const r = propRange(node, key);
+  if (!r || !r.valueColumn) return null;
+  return inSource(
+    {
+      line: r.line,
+      column: r.valueColumn,
+      endLine: r.endLine,
+      endColumn: r.endColumn,
+    },
+    node
+  );
+}
+
 function findMetaLine(lines, key) {
   for (let i = 0; i < lines.length; i++) {
     if (/^\s*---\s*$/.test(lines[i])) {
@@ -383,34 +703,322 @@ function findMetaLine(lines, key) {
   return null;
 }
 
-function err(message, line) {
-  return { level: "error", message, line };
+function findMetaBlock(lines) {
+  const open = lines.findIndex((l) => /^\s*---\s*$/.test(l));
+  if (open === -1) return null;
+  for (let j = open + 1; j < lines.length; j++) {
+    if (/^\s*---\s*$/.test(lines[j])) return { open: open + 1, close: j + 1 };
+  }
+  return null;
 }
-function warn(message, line) {
-  return { level: "warning", message, line };
+
+function missingMetaDiagnostic(lines, key) {
+  const message = `Missing required meta: ${key}`;
+  const keyLine = findMetaLine(lines, key);
+  if (keyLine) {
+    // Key present but empty
+    const text = lines[keyLine - 1];
+    return createDiagnostic("meta-required", message, {
+      line: keyLine,
+      column: 1,
+      endColumn: text.length + 1,
+    });
+  }
+  const block = findMetaBlock(lines);
+  const fixValue = key === "version" ? "1" : null;
+  if (!block)
+    return createDiagnostic("meta-required", message, { line: 1, column: 1 });
+  return createDiagnostic(
+    "meta-required",
+    message,
+    { line: block.open, column: 1, endColumn: 4 },
+    fixValue && [
+      createFix(
+        `Add '${key}: ${fixValue}'`,
+        { line: block.close, column: 1 },
+        `${key}: ${fixValue}\n`
+      ),
+    ]
+  );
 }
-function severityRank(d) {
-  return d.level === "error" ? 0 : 1;
+
+// #endregion
+
+function humanizeId(id) {
+  const s = String(id || "")
+    .replace(/[_-]+/g, " ")
+    .trim();
+  return s ? s[0].toUpperCase() + s.slice(1) : "";
 }
 
-function findFieldById(ast, id) {
+function findNodeById(ast, id) {
   let found = null;
   walkNodes(ast, (node) => {
-    if (!found && node.type === "field" && node.id === id) found = node;
+    if (!found && node.type !== "include" && node.id === id) found = node;
   });
   return found;
 }
 
-function validateConditionRefs(node, idCount, diagnostics) {
-  const cond = node.if;
-  if (!cond) return;
-  const tokens = cond.match(/[A-Za-z_][A-Za-z0-9_]*/g) || [];
-  tokens.forEach((tok) => {
-    if (["true", "false", "null", "and", "or", "not"].includes(tok)) return;
-    if (idCount.has(tok)) return;
-    if (new RegExp(`[\'\"]${tok}[\'\"]`).test(cond)) return;
+// `merge:` only matters in a template that uses @extends, but is checked everywhere
+function validateMergeMode(node, diagnostics) {
+  if (node.merge === undefined || MERGE_MODES.includes(String(node.merge))) return;
+  diagnostics.push(
+    createDiagnostic(
+      "unknown-merge-mode",
+      `Unknown merge mode '${node.merge}' (expected ${MERGE_MODES.join(", ")})`,
+      propValueRange(node, "merge") || headerRange(node)
+    )
+  );
+}
+
+function validateDependencies(graph, diagnostics) {
+  graph.cycles.forEach((cycle) => {
+    const node = graph.nodes.get(cycle[0]).node;
+    diagnostics.push(
+      createDiagnostic(
+        "computed-cycle",
+        cycle.length === 1
+          ? `Computed field ${cycle[0]} depends on itself`
+          : `Computed fields depend on each other: ${cycle.join(", ")}`,
+        propValueRange(node, "formula") || headerRange(node)
+      )
+    );
+  });
+
+  const reported = new Set();
+  graph.edges.forEach((edge) => {
+    const key = `${edge.from}->${edge.to}`;
+    if (edge.from === edge.to || reported.has(key)) return;
+    // Rules are skipped while a field they read is empty
+    if (edge.prop === "check") return;
+    const availability = refAvailability(graph, edge.node, edge.to);
+    if (!availability) return;
+    const reader = edge.node.id || `Group "${edge.node.title || ""}"`;
+    let message = null;
+    if (availability.hiddenInput)
+      message =
+        `${reader} reads '${edge.to}', which is hidden in the UI and has ` +
+        `no default, so it is always empty`;
+    else if (availability.conditions.length)
+      message =
+        `${reader} reads '${edge.to}', which is only present when ` +
+        availability.conditions.map((c) => c.if).join(" and ");
+    if (!message) return;
+    reported.add(key);
     diagnostics.push(
-      warn(`Condition references unknown field '${tok}'`, node.line)
+      createDiagnostic(
+        "unavailable-ref",
+        message,
+        propValueRange(edge.node, edge.prop) || headerRange(edge.node)
+      )
+    );
+  });
+
+  graph.unused.forEach((id) => {
+    const { node } = graph.nodes.get(id);
+    const shown = !(node.ui && node.ui.hidden) || !(node.pdf && node.pdf.hidden);
+    if (node.fieldType !== "computed" || shown) return;
+    diagnostics.push(
+      createDiagnostic(
+        "unused-computed",
+        `Computed field ${id} is hidden in the UI and PDF and nothing reads it`,
+        headerRange(node)
+      )
+    );
+  });
+}
+
+// Maps offsets in an expression prop (`if`, `formula`) to a source range; the
+// whole prop (or the header) when the value's position (or the text of the
+// template declaring it, `lines`) is unknown.
+function expressionRange(node, key, lines) {
+  const value = node[key];
+  const range = propValueRange(node, key);
+  let valueStart = null;
+  if (range && lines && typeof value === "string") {
+    const srcLine = lines[range.line - 1] || "";
+    const first = srcLine[range.column - 1];
+    valueStart = range.column + (first === '"' || first === "'" ? 1 : 0);
+  }
+  return (start, end) =>
+    valueStart !== null
+      ? inSource(
+        {
+          line: range.line,
+          column: valueStart + start,
+          endColumn: valueStart + end,
+        },
+        node
+      )
+      : propRange(node, key) || headerRange(node);
+}
+
+// `if:` plus the conditional state props of fields and groups
+const CONDITION_PROPS = ["if", "required_if", "readonly_if"];
+
+function validateConditions(node, idCount, diagnostics, lines) {
+  CONDITION_PROPS.forEach((prop) => {
+    if (node[prop])
+      validateConditionRefs(node, idCount, diagnostics, lines, prop);
+  });
+}
+
+function validateConditionRefs(
+  node,
+  idCount,
+  diagnostics,
+  lines,
+  prop = "if"
+) {
+  const cond = node[prop];
+  if (cond === undefined || cond === "") return;
+  const what = prop === "if" ? "Condition" : `${prop} condition`;
+  const rangeAt = expressionRange(node, prop, lines);
+  let refs;
+  try {
+    refs = conditionRefs(String(cond));
+  } catch (e) {
+    if (!(e instanceof ConditionSyntaxError)) throw e;
+    diagnostics.push(
+      createDiagnostic(
+        "invalid-condition",
+        `Invalid ${what.toLowerCase()} '${cond}': ${e.message}`,
+        rangeAt(e.start, e.end)
+      )
+    );
+    return;
+  }
+  // Right-hand bare words are values unless they name a field
+  refs.forEach((ref) => {
+    if (ref.optional || idCount.has(ref.name)) return;
+    diagnostics.push(
+      createDiagnostic(
+        "unknown-condition-ref",
+        `${what} references unknown field '${ref.name}'`,
+        rangeAt(ref.start, ref.end)
+      )
+    );
+  });
+}
+
+function validateFormula(node, idCount, diagnostics, lines) {
+  const rangeAt = expressionRange(node, "formula", lines);
+  let refs;
+  try {
+    refs = formulaRefs(String(node.formula));
+  } catch (e) {
+    if (!(e instanceof FormulaSyntaxError)) throw e;
+    diagnostics.push(
+      createDiagnostic(
+        "invalid-formula",
+        `Invalid formula for ${node.id}: ${e.message}`,
+        rangeAt(e.start, e.end)
+      )
+    );
+    return;
+  }
+  // Names in a filter() condition may be item properties
+  refs.forEach((ref) => {
+    if (ref.optional || idCount.has(ref.name)) return;
+    diagnostics.push(
+      createDiagnostic(
+        "unknown-formula-ref",
+        `Formula for ${node.id} references unknown field '${ref.name}'`,
+        rangeAt(ref.start, ref.end)
+      )
+    );
+  });
+}
+
+// `default:=expr` uses the condition engine; offsets skip the leading `=`
+function validateDefaultExpression(node, idCount, diagnostics, lines) {
+  const expr = defaultExpression(node.default);
+  const valueRange = expressionRange(node, "default", lines);
+  const rangeAt = (start, end) => valueRange(start + 1, end + 1);
+  let refs;
+  try {
+    refs = conditionRefs(expr);
+  } catch (e) {
+    if (!(e instanceof ConditionSyntaxError)) throw e;
+    diagnostics.push(
+      createDiagnostic(
+        "invalid-default",
+        `Invalid default expression for ${node.id}: ${e.message}`,
+        rangeAt(e.start, e.end)
+      )
+    );
+    return;
+  }
+  refs.forEach((ref) => {
+    if (ref.optional || idCount.has(ref.name)) return;
+    diagnostics.push(
+      createDiagnostic(
+        "unknown-default-ref",
+        `Default of ${node.id} references unknown field '${ref.name}'`,
+        rangeAt(ref.start, ref.end)
+      )
+    );
+  });
+}
+
+// Rule props plus the bookkeeping keys the parser adds
+const RULE_PROPS = ["id", "check", "message", "level", "type", "line", "loc"];
+
+function validateRule(node, idCount, diagnostics, lines) {
+  Object.keys(node).forEach((k) => {
+    if (!RULE_PROPS.includes(k))
+      diagnostics.push(
+        createDiagnostic(
+          "unknown-prop",
+          `Property '${k}' not recognized for @rule`,
+          propRange(node, k) || headerRange(node)
+        )
+      );
+  });
+  if (node.level !== undefined && !RULE_LEVELS.includes(String(node.level))) {
+    const levelRange = propValueRange(node, "level");
+    diagnostics.push(
+      createDiagnostic(
+        "invalid-rule",
+        `Unknown rule level '${node.level}' (expected ${RULE_LEVELS.join(", ")})`,
+        levelRange || headerRange(node),
+        levelRange && [createFix("Use 'error'", levelRange, "error")]
+      )
+    );
+  }
+  if (node.check === undefined || node.check === "" || node.check === true) {
+    diagnostics.push(
+      createDiagnostic(
+        "invalid-rule",
+        "@rule is missing 'check'",
+        headerRange(node)
+      )
+    );
+    return;
+  }
+  const rangeAt = expressionRange(node, "check", lines);
+  let refs;
+  try {
+    refs = conditionRefs(String(node.check));
+  } catch (e) {
+    if (!(e instanceof ConditionSyntaxError)) throw e;
+    diagnostics.push(
+      createDiagnostic(
+        "invalid-rule",
+        `Invalid rule check '${node.check}': ${e.message}`,
+        rangeAt(e.start, e.end)
+      )
+    );
+    return;
+  }
+  refs.forEach((ref) => {
+    if (ref.optional || idCount.has(ref.name)) return;
+    diagnostics.push(
+      createDiagnostic(
+        "unknown-rule-ref",
+        `Rule check references unknown field '${ref.name}'`,
+        rangeAt(ref.start, ref.end)
+      )
     );
   });
 }
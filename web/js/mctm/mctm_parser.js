@@ -1,11 +1,33 @@
-export function parseMCTM(source) {
+import { createDiagnostic, createFix } from "./mctm_diagnostics.js";
+import { conditionRefs, defaultExpression } from "../conditional.js";
+import { formulaRefs } from "../formula.js";
+
+// Parse MCTM source into { meta, overrides, ast, diagnostics, extends? }.
+// Malformed structure (unclosed fences, groups, metadata or overrides blocks,
+// stray `}` / `@` lines) is reported in `diagnostics` and the parser recovers at
+// the next plausible boundary so the rest of the document still yields a usable AST.
+// Options:
+//   preserve: keep source trivia for the formatter - `comment` nodes (and
+//     `{ comment }` override entries), `define` nodes and unexpanded `use` nodes;
+//     comments before the metadata block are returned in `headerComments`
+//   macros: Map of macro definitions visible to `source` (name -> definition)
+//   macroStack: names of the macros currently being expanded (recursion guard)
+export function parseMCTM(source, options = {}) {
   const lines = source.split(/\r?\n/);
   const ast = [];
   const meta = {};
   const overrides = [];
+  const diagnostics = [];
+  const macros = new Map(options.macros || []);
+  const localMacros = new Set(); // names defined by this document
+  const macroStack = options.macroStack || [];
+  const preserve = !!options.preserve;
+  const headerComments = [];
+  let parentTemplate = null; // @extends directive, if any
   let i = 0;
   let metaParsed = false;
   let overrideBlockActive = false;
+  let overrideBlockLine = 0;
   let currentSection = null;
   // A stack of containers to support nested groups. Each item is { container: Array }
   const containerStack = [];
@@ -26,17 +48,281 @@ export function parseMCTM(source) {
     return ast;
   };
 
+  // Fix that inserts `text` as a new line before 0-based line index `at` (or at EOF)
+  const insertLineFix = (title, at, text) => {
+    if (at < lines.length)
+      return createFix(title, { line: at + 1, column: 1 }, text + "\n");
+    const lastText = lines[lines.length - 1] || "";
+    return createFix(
+      title,
+      { line: lines.length, column: lastText.length + 1 },
+      lastText ? "\n" + text : text + "\n"
+    );
+  };
+
+  // Fix that deletes the whole 0-based line `at`
+  const deleteLineFix = (at) =>
+    createFix(
+      "Remove line",
+      at + 1 < lines.length
+        ? { line: at + 1, column: 1, endLine: at + 2, endColumn: 1 }
+        : { line: at + 1, column: 1, endColumn: lines[at].length + 1 },
+      ""
+    );
+
+  // Report every open group as unclosed; the fix inserts `}` before line `at`
+  const closeOpenGroups = (at, reason) => {
+    while (containerStack.length) {
+      const { node } = containerStack.pop();
+      const label = node.title || node.id || "(untitled)";
+      diagnostics.push(
+        createDiagnostic(
+          "unclosed-group",
+          `Group '${label}' is never closed${reason}`,
+          node.loc.title || {
+            line: node.loc.line,
+            column: node.loc.column,
+            endColumn: node.loc.column + 1,
+          },
+          [insertLineFix("Close group", at, "}")]
+        )
+      );
+    }
+  };
+
+  // Record the @define block starting at line index `at`; returns the index after it.
+  function parseDefine(at) {
+    const line = lines[at];
+    const startLine = at + 1;
+    const loc = lineLoc(startLine, line);
+    const header = /^(\s*@define)(\s*)(.*)$/i.exec(line);
+    const headerStart = header[1].length + header[2].length;
+    loc.props = {};
+    const props = parseProps(header[3], loc.props, (offset) => ({
+      line: startLine,
+      column: headerStart + offset + 1,
+    }));
+    const name = Object.keys(props).find((k) => props[k] === true);
+    let end = at + 1;
+    while (
+      end < lines.length &&
+      !/^\s*@(enddefine|define)\b/i.test(lines[end])
+    )
+      end++;
+    const closed = end < lines.length && /^\s*@enddefine\b/i.test(lines[end]);
+    const headerRange = {
+      line: startLine,
+      column: loc.column,
+      endColumn: loc.column + 7,
+    };
+    if (!closed)
+      diagnostics.push(
+        createDiagnostic(
+          "invalid-define",
+          `@define '${name || ""}' is never closed with '@enddefine'`,
+          headerRange,
+          [insertLineFix("Close macro definition", end, "@enddefine")]
+        )
+      );
+    const body = lines.slice(at + 1, end);
+    if (!name) {
+      diagnostics.push(
+        createDiagnostic(
+          "invalid-define",
+          "@define is missing a macro name",
+          headerRange
+        )
+      );
+    } else if (localMacros.has(name)) {
+      diagnostics.push(
+        createDiagnostic(
+          "invalid-define",
+          `Macro '${name}' is already defined (the first definition is used)`,
+          loc.props[name] || headerRange
+        )
+      );
+    } else {
+      const params = (
+        Array.isArray(props.params)
+          ? props.params
+          : props.params && props.params !== true
+            ? String(props.params).split(/[\s,]+/)
+            : []
+      )
+        .filter(Boolean)
+        .map((p) => ({
+          name: p.replace(/\?$/, ""),
+          optional: p.endsWith("?"),
+        }));
+      localMacros.add(name);
+      macros.set(name, { name, params, body, line: startLine });
+      if (preserve)
+        getActiveContainer().push({
+          type: "define",
+          name,
+          params,
+          body,
+          line: startLine,
+          loc,
+        });
+      // Placeholders must be declared parameters
+      body.forEach((text, k) => {
+        for (const m of text.matchAll(MACRO_PLACEHOLDER_RE)) {
+          if (params.some((p) => p.name === m[1])) continue;
+          diagnostics.push(
+            createDiagnostic(
+              "macro-unknown-arg",
+              `Placeholder '${m[0]}' is not a parameter of macro '${name}'`,
+              {
+                line: at + 2 + k,
+                column: m.index + 1,
+                endColumn: m.index + 1 + m[0].length,
+              }
+            )
+          );
+        }
+      });
+    }
+    // Structural problems inside the body are reported once, at the definition
+    const bodyCheck = parseMCTM(body.join("\n"));
+    bodyCheck.diagnostics
+      .filter((d) => !MACRO_RULES.includes(d.rule))
+      .forEach((d) => diagnostics.push(shiftLines(d, at + 1)));
+    return closed ? end + 1 : end;
+  }
+
+  // Replace `use` placeholders with their macro expansion (sections are inlined
+  // when the @use is nested, as with @include).
+  function expandUses(list, isRoot) {
+    for (let idx = 0; idx < list.length; idx++) {
+      const node = list[idx];
+      if (!node) continue;
+      if (node.type !== "use") {
+        if (node.children) expandUses(node.children, false);
+        continue;
+      }
+      const nodes = expandUse(node).flatMap((n) =>
+        n.type === "section" && !isRoot ? n.children || [] : [n]
+      );
+      list.splice(idx, 1, ...nodes);
+      idx += nodes.length - 1;
+    }
+  }
+
+  function expandUse(use) {
+    const range = use.loc.name || {
+      line: use.loc.line,
+      column: use.loc.column,
+      endColumn: use.loc.column + 4,
+    };
+    const macro = use.name && macros.get(use.name);
+    if (!macro) {
+      diagnostics.push(
+        createDiagnostic(
+          "unknown-macro",
+          use.name ? `Unknown macro '${use.name}'` : "@use is missing a macro name",
+          range
+        )
+      );
+      return [];
+    }
+    if (macroStack.includes(macro.name)) {
+      diagnostics.push(
+        createDiagnostic(
+          "macro-recursion",
+          `Macro '${macro.name}' expands itself (${[
+            ...macroStack,
+            macro.name,
+          ].join(" -> ")})`,
+          range
+        )
+      );
+      return [];
+    }
+    const args = use.args || {};
+    Object.keys(args).forEach((key) => {
+      if (macro.params.some((p) => p.name === key)) return;
+      const argRange = use.loc.props && use.loc.props[key];
+      diagnostics.push(
+        createDiagnostic(
+          "macro-unknown-arg",
+          `Macro '${macro.name}' has no parameter '${key}'`,
+          argRange || range,
+          argRange && [createFix(`Remove '${key}'`, argRange, "")]
+        )
+      );
+    });
+    const missing = macro.params.filter((p) => !p.optional && !(p.name in args));
+    if (missing.length) {
+      diagnostics.push(
+        createDiagnostic(
+          "macro-missing-arg",
+          `Macro '${macro.name}' requires ${missing
+            .map((p) => `'${p.name}'`)
+            .join(", ")}`,
+          range
+        )
+      );
+      return [];
+    }
+    const text = macro.body
+      .join("\n")
+      .replace(MACRO_PLACEHOLDER_RE, (m, name) =>
+        name in args ? macroArgText(args[name]) : ""
+      );
+    const sub = parseMCTM(text, {
+      macros,
+      macroStack: [...macroStack, macro.name],
+    });
+    // Nested macro problems surface at this @use; structure was checked at @define
+    sub.diagnostics
+      .filter((d) => MACRO_RULES.includes(d.rule))
+      .forEach((d) => {
+        const { fixes, ...rest } = d;
+        diagnostics.push({ ...rest, ...useRange(use) });
+      });
+    relocate(sub.ast, use);
+    return sub.ast;
+  }
+
   while (i < lines.length) {
     let line = lines[i] ?? "";
     // Comments (start with //)
     if (/^\s*(\/\/)/.test(line)) {
+      if (preserve) {
+        const text = line.trim();
+        if (overrideBlockActive) overrides.push({ comment: text, line: i + 1 });
+        else if (!metaParsed && !ast.length && !currentSection)
+          headerComments.push(text);
+        else
+          getActiveContainer().push({
+            type: "comment",
+            text,
+            line: i + 1,
+            loc: lineLoc(i + 1, line),
+          });
+      }
       i++;
       continue;
     }
 
     // Overrides block start: #overrides (single or multiple allowed)
     if (/^\s*#overrides\b/i.test(line)) {
+      if (preserve) {
+        // Comments directly above the block belong to it
+        const container = getActiveContainer();
+        const leading = [];
+        while (
+          container.length &&
+          container[container.length - 1].type === "comment"
+        ) {
+          const c = container.pop();
+          leading.unshift({ comment: c.text, line: c.line });
+        }
+        overrides.push(...leading);
+      }
       overrideBlockActive = true;
+      overrideBlockLine = i + 1;
       i++;
       continue;
     }
@@ -54,11 +340,82 @@ export function parseMCTM(source) {
         i++;
         continue;
       }
+      // Structural directives: #remove, #move, #insert ... #endinsert
+      const directive = /^\s*#([a-z]+)\b/i.exec(line);
+      if (directive) {
+        const entry = parseOverrideDirective(line, i + 1);
+        if (!entry) {
+          diagnostics.push(
+            createDiagnostic(
+              "invalid-override",
+              `Malformed override directive '${line.trim()}'`,
+              lineLoc(i + 1, line)
+            )
+          );
+          i++;
+          continue;
+        }
+        if (entry.op === "insert") {
+          // Body runs to #endinsert; reaching #end, #overrides or EOF means it is unclosed
+          let j = i + 1;
+          while (
+            j < lines.length &&
+            !/^\s*#(endinsert|end|overrides)\b/i.test(lines[j])
+          )
+            j++;
+          if (j >= lines.length || !/^\s*#endinsert\b/i.test(lines[j]))
+            diagnostics.push(
+              createDiagnostic(
+                "invalid-override",
+                "#insert block is never closed with '#endinsert'",
+                lineLoc(i + 1, line),
+                [insertLineFix("Close insert block", j, "#endinsert")]
+              )
+            );
+          const sub = parseMCTM(lines.slice(i + 1, j).join("\n"), {
+            preserve,
+            macros,
+            macroStack,
+          });
+          shiftLines(sub.ast, i + 1);
+          shiftLines(sub.diagnostics, i + 1);
+          diagnostics.push(...sub.diagnostics);
+          entry.nodes = preserve
+            ? [
+                ...sub.headerComments.map((text) => ({ type: "comment", text })),
+                ...sub.ast,
+              ]
+            : sub.ast;
+          i = /^\s*#endinsert\b/i.test(lines[j] || "") ? j + 1 : j;
+        } else i++;
+        overrides.push(entry);
+        continue;
+      }
+      if (isStructuralLine(line)) {
+        // Missing #end: the block implicitly ends before template content
+        diagnostics.push(
+          createDiagnostic(
+            "unclosed-overrides",
+            "Overrides block is never closed with '#end'",
+            { line: overrideBlockLine, column: 1, endColumn: 11 },
+            [insertLineFix("Close overrides block", i, "#end")]
+          )
+        );
+        overrideBlockActive = false;
+        continue;
+      }
       const assign = /^\s*([A-Za-z_][\w.-]*)\s*:\s*(.*)$/.exec(line);
       if (assign) {
         const target = assign[1].trim();
         let valRaw = assign[2];
         const ovLine = i + 1;
+        const targetCol = line.indexOf(target) + 1;
+        const ovLoc = {
+          line: ovLine,
+          column: targetCol,
+          endLine: ovLine,
+          endColumn: targetCol + target.length,
+        };
         // Multiline quoted string support
         if (/^['"]/.test(valRaw) && !/(['"])\s*$/.test(valRaw)) {
           const q = valRaw[0];
@@ -79,15 +436,21 @@ export function parseMCTM(source) {
           (value.startsWith("'") && value.endsWith("'"))
         ) {
           value = value.slice(1, -1);
+        } else if (/^(true|false)$/i.test(value)) {
+          value = /^true$/i.test(value);
         }
         // Array syntax like [a, b, c]
-        if (value.startsWith("[") && value.endsWith("]")) {
+        if (
+          typeof value === "string" &&
+          value.startsWith("[") &&
+          value.endsWith("]")
+        ) {
           const inner = value.slice(1, -1).trim();
           if (inner) {
             value = inner.split(",").map((s) => stripQuotes(s.trim()));
           } else value = [];
         }
-        overrides.push({ target, value, line: ovLine });
+        overrides.push({ target, value, line: ovLine, loc: ovLoc });
       }
       i++;
       continue;
@@ -95,8 +458,28 @@ export function parseMCTM(source) {
 
     // Metadata blocks (start and end with ---)
     if (!metaParsed && /^\s*---\s*$/.test(line)) {
+      const openLine = i + 1;
       i++;
-      while (i < lines.length && !/^\s*---\s*$/.test(lines[i])) {
+      let end = i;
+      while (end < lines.length && !/^\s*---\s*$/.test(lines[end])) end++;
+      if (end >= lines.length) {
+        // No closing ---: the block ends at the first line that is not `key: value`
+        end = i;
+        while (
+          end < lines.length &&
+          (!lines[end].trim() || /^(\w[\w.-]*):\s*(.*)$/.test(lines[end]))
+        )
+          end++;
+        diagnostics.push(
+          createDiagnostic(
+            "unclosed-meta",
+            "Metadata block is never closed with '---'",
+            { line: openLine, column: 1, endColumn: 4 },
+            [insertLineFix("Close metadata block", end, "---")]
+          )
+        );
+      }
+      while (i < end) {
         const mline = lines[i];
         const kv = /^(\w[\w.-]*):\s*(.*)$/.exec(mline);
         if (kv) {
@@ -111,15 +494,25 @@ export function parseMCTM(source) {
 
     // Sections (> "Title" id:... if:...)
     const secMatch = /^>\s+(.+)$/.exec(line);
+    if (secMatch && containerStack.length) {
+      // Sections only live at root level: an open group here was never closed
+      closeOpenGroups(i, ` before section on line ${i + 1}`);
+    }
     if (secMatch && containerStack.length === 0) {
       // sections only at root level
       const startLine = i + 1;
-      const { title, props } = parseTitleAndProps(secMatch[1]);
+      const loc = lineLoc(startLine, line);
+      const { title, props } = parseTitleAndProps(
+        secMatch[1],
+        loc,
+        line.length - secMatch[1].length
+      );
       const section = {
         type: "section",
         title,
         children: [],
         line: startLine,
+        loc,
         ...props,
       };
       if (!section.id && section.title)
@@ -137,18 +530,24 @@ export function parseMCTM(source) {
     if (grpOpen) {
       const startLine = i + 1;
       const header = grpOpen[1] || "";
-      const { title, props } = parseTitleAndProps(header);
+      const loc = lineLoc(startLine, line);
+      const { title, props } = parseTitleAndProps(
+        header,
+        loc,
+        line.length - header.length
+      );
       const group = {
         type: "group",
         title,
         children: [],
         line: startLine,
+        loc,
         ...props,
       };
       if (!group.id && group.title) group.id = "group_" + slugify(group.title);
       getActiveContainer().push(group);
       // Push this group's children container on the stack
-      containerStack.push({ container: group.children });
+      containerStack.push({ container: group.children, node: group });
       i++;
       // Consume subsequent empty header continuation lines if any (no special handling)
       continue;
@@ -156,7 +555,43 @@ export function parseMCTM(source) {
 
     // Group end
     if (/^\s*\}\s*$/.test(line)) {
-      if (containerStack.length) containerStack.pop();
+      if (containerStack.length) {
+        const closed = containerStack.pop();
+        if (closed.node && closed.node.loc) {
+          closed.node.loc.endLine = i + 1;
+          closed.node.loc.endColumn = line.length + 1;
+        }
+      } else {
+        const col = line.indexOf("}") + 1;
+        diagnostics.push(
+          createDiagnostic(
+            "unmatched-brace",
+            "Unmatched '}' (no open group)",
+            { line: i + 1, column: col, endColumn: col + 1 },
+            [deleteLineFix(i)]
+          )
+        );
+      }
+      i++;
+      continue;
+    }
+
+    // Macro definition: @define name params:[a, b?] ... @enddefine
+    const defMatch = /^@define\b(.*)$/i.exec(line.trim());
+    if (defMatch) {
+      i = parseDefine(i);
+      continue;
+    }
+    if (/^@enddefine\b/i.test(line.trim())) {
+      const col = line.indexOf("@") + 1;
+      diagnostics.push(
+        createDiagnostic(
+          "invalid-define",
+          "'@enddefine' without an open @define",
+          { line: i + 1, column: col, endColumn: col + 10 },
+          [deleteLineFix(i)]
+        )
+      );
       i++;
       continue;
     }
@@ -165,8 +600,13 @@ export function parseMCTM(source) {
     const atFence = /^@([a-z][a-z0-9-]*)(.*)$/i.exec(line.trim());
     if (atFence) {
       const type = atFence[1];
-      let inline = (atFence[2] || "").trim();
+      const rest = atFence[2] || "";
+      let inline = rest.trim();
       const startLine = i + 1;
+      const loc = lineLoc(startLine, line);
+      // Column (0-based) where the inline props begin in the raw line
+      const inlineStart =
+        loc.column + type.length + (rest.length - rest.trimStart().length);
       const bodyLines = [];
       const inlineClose = /@\s*$/.test(line) && inline.length > 0;
       if (inlineClose) {
@@ -174,30 +614,124 @@ export function parseMCTM(source) {
       }
       i++;
       if (!inlineClose) {
-        while (i < lines.length && lines[i].trim() !== "@") {
-          bodyLines.push(lines[i]);
-          i++;
-        }
-        if (i < lines.length && lines[i].trim() === "@") {
-          i++;
+        // The body ends at a lone '@'; reaching another fence or EOF means it was
+        // never closed. Static bodies are free text (`@mentions` included), so
+        // only their closing '@' or EOF ends them.
+        let j = i;
+        while (
+          j < lines.length &&
+          lines[j].trim() !== "@" &&
+          (type === "static" || !isFenceStart(lines[j]))
+        )
+          j++;
+        if (j < lines.length && lines[j].trim() === "@") {
+          bodyLines.push(...lines.slice(i, j));
+          loc.endLine = j + 1;
+          loc.endColumn = lines[j].length + 1;
+          i = j + 1;
+        } else {
+          // Recover at the first structural line the fence swallowed
+          let r = i;
+          while (r < j && !isStructuralLine(lines[r])) r++;
+          bodyLines.push(...lines.slice(i, r));
+          loc.unclosed = true;
+          if (bodyLines.length) {
+            loc.endLine = r;
+            loc.endColumn = lines[r - 1].length + 1;
+          }
+          diagnostics.push(
+            createDiagnostic(
+              "unclosed-fence",
+              `Field fence '@${type}' is never closed with '@'`,
+              {
+                line: startLine,
+                column: loc.column,
+                endColumn: loc.column + 1 + type.length,
+              },
+              [insertLineFix("Close fence", r, "@")]
+            )
+          );
+          i = r;
         }
       }
-      const props = parseProps(inline);
+      loc.props = {};
+      const props = parseProps(inline, loc.props, (offset) => ({
+        line: startLine,
+        column: inlineStart + offset + 1,
+      }));
       if (type === "static") {
         props.content = bodyLines.join("\n");
       } else if (bodyLines.length) {
-        const extra = parseProps(bodyLines.join(" "));
+        const extra = parseProps(
+          bodyLines.join(" "),
+          loc.props,
+          joinedLinesPosition(bodyLines, startLine + 1)
+        );
         Object.assign(props, extra);
       }
+      if (type === "extends") {
+        // Only valid once, at the top level before any content
+        if (parentTemplate || ast.length || currentSection) {
+          diagnostics.push(
+            createDiagnostic(
+              "misplaced-extends",
+              parentTemplate
+                ? "Only one @extends directive is allowed"
+                : "@extends must appear before any sections or fields",
+              {
+                line: startLine,
+                column: loc.column,
+                endColumn: loc.column + 1 + type.length,
+              },
+              [deleteLineFix(startLine - 1)]
+            )
+          );
+        } else {
+          parentTemplate = { type: "extends", line: startLine, loc, ...props };
+        }
+        continue;
+      }
+      if (type === "use") {
+        // The first bare token names the macro; the other props are its arguments
+        const name = Object.keys(props).find((k) => props[k] === true);
+        const nameLoc = name ? loc.props[name] : null;
+        if (name) {
+          delete props[name];
+          delete loc.props[name];
+        }
+        getActiveContainer().push({
+          type: "use",
+          name,
+          args: props,
+          line: startLine,
+          loc: { ...loc, name: nameLoc },
+        });
+        continue;
+      }
       const node =
-        type === "include"
-          ? { type: "include", line: startLine, ...props }
-          : { type: "field", fieldType: type, line: startLine, ...props };
+        type === "include" || type === "rule"
+          ? { type, line: startLine, loc, ...props }
+          : { type: "field", fieldType: type, line: startLine, loc, ...props };
       const container = getActiveContainer();
       container.push(node);
       continue;
     }
 
+    // Closing '@' without an open fence
+    if (line.trim() === "@") {
+      const col = line.indexOf("@") + 1;
+      diagnostics.push(
+        createDiagnostic(
+          "stray-fence-close",
+          "Closing '@' without an open field fence",
+          { line: i + 1, column: col, endColumn: col + 1 },
+          [deleteLineFix(i)]
+        )
+      );
+      i++;
+      continue;
+    }
+
     // Static paragraph capture
     if (line.trim()) {
       const paraLines = [line];
@@ -210,7 +744,8 @@ export function parseMCTM(source) {
         !/^>\s+/.test(lines[i]) &&
         !/^@([a-z][a-z0-9-]*)/i.test(lines[i].trim()) &&
         !/^\s*(\/\/|%%)/.test(lines[i]) &&
-        !/^\s*\}/.test(lines[i])
+        !/^\s*[{}]/.test(lines[i]) &&
+        lines[i].trim() !== "@"
       ) {
         paraLines.push(lines[i]);
         i++;
@@ -220,16 +755,151 @@ export function parseMCTM(source) {
         fieldType: "static",
         content: paraLines.join("\n"),
         line: startLine,
+        loc: {
+          ...lineLoc(startLine, paraLines[0]),
+          endLine: startLine + paraLines.length - 1,
+          endColumn: paraLines[paraLines.length - 1].length + 1,
+        },
       };
       getActiveContainer().push(node);
       continue;
     }
     i++;
   }
-  return { meta, overrides, ast };
+  if (overrideBlockActive)
+    diagnostics.push(
+      createDiagnostic(
+        "unclosed-overrides",
+        "Overrides block is never closed with '#end'",
+        { line: overrideBlockLine, column: 1, endColumn: 11 },
+        [insertLineFix("Close overrides block", lines.length, "#end")]
+      )
+    );
+  closeOpenGroups(lines.length, "");
+  if (!preserve) expandUses(ast, true);
+  const result = { meta, overrides, ast, diagnostics };
+  if (parentTemplate) result.extends = parentTemplate;
+  if (preserve) result.headerComments = headerComments;
+  return result;
+}
+
+const REMOVE_RE = /^\s*#remove\s+([A-Za-z_][\w.-]*)\s*$/i;
+const MOVE_RE =
+  /^\s*#move\s+([A-Za-z_][\w.-]*)\s+(after|before):\s*([A-Za-z_][\w.-]*)\s*$/i;
+const INSERT_RE = /^\s*#insert\s+(after|before):\s*([A-Za-z_][\w.-]*)\s*$/i;
+
+const MACRO_PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+const MACRO_RULES = [
+  "unknown-macro",
+  "macro-missing-arg",
+  "macro-unknown-arg",
+  "macro-recursion",
+];
+
+// Text substituted for a macro argument value
+function macroArgText(value) {
+  if (Array.isArray(value)) return `[${value.join(", ")}]`;
+  if (value && typeof value === "object") return "";
+  return String(value);
+}
+
+function useRange(use) {
+  const { line, column, endLine, endColumn } = use.loc;
+  return { line, column, endLine, endColumn };
+}
+
+// Point nodes expanded from a macro at the @use that produced them; their own
+// source ranges live in the macro body and are dropped.
+function relocate(nodes, use) {
+  nodes.forEach((n) => {
+    if (!n) return;
+    n.line = use.line;
+    n.loc = { ...useRange(use), props: {}, macro: use.name };
+    if (n.children) relocate(n.children, use);
+  });
 }
 
-function parseProps(chunk) {
+// Parse a `#remove id`, `#move id after:ref|before:ref` or `#insert after:ref|before:ref`
+// line into an override entry (null when malformed). `loc` covers the target id
+// (the anchor id for #insert); #move also records `refLoc`.
+function parseOverrideDirective(line, lineNo) {
+  const tokenLoc = (name, from) => {
+    const column = line.indexOf(name, from) + 1;
+    return {
+      line: lineNo,
+      column,
+      endLine: lineNo,
+      endColumn: column + name.length,
+    };
+  };
+  const head = /#[a-z]+/i.exec(line);
+  const directiveEnd = head.index + head[0].length;
+  let m = REMOVE_RE.exec(line);
+  if (m)
+    return {
+      op: "remove",
+      target: m[1],
+      line: lineNo,
+      loc: tokenLoc(m[1], directiveEnd),
+    };
+  m = MOVE_RE.exec(line);
+  if (m) {
+    const loc = tokenLoc(m[1], directiveEnd);
+    return {
+      op: "move",
+      target: m[1],
+      position: m[2].toLowerCase(),
+      ref: m[3],
+      line: lineNo,
+      loc,
+      refLoc: tokenLoc(m[3], line.indexOf(":", loc.endColumn - 1) + 1),
+    };
+  }
+  m = INSERT_RE.exec(line);
+  if (m)
+    return {
+      op: "insert",
+      position: m[1].toLowerCase(),
+      ref: m[2],
+      line: lineNo,
+      loc: tokenLoc(m[2], line.indexOf(":") + 1),
+      nodes: [],
+    };
+  return null;
+}
+
+// Add `offset` to every `line` / `endLine` number in a parsed subtree (in place).
+function shiftLines(value, offset) {
+  if (Array.isArray(value)) value.forEach((v) => shiftLines(v, offset));
+  else if (value && typeof value === "object")
+    for (const [k, v] of Object.entries(value)) {
+      if ((k === "line" || k === "endLine") && typeof v === "number")
+        value[k] = v + offset;
+      else if (v && typeof v === "object") shiftLines(v, offset);
+    }
+  return value;
+}
+
+function isFenceStart(line) {
+  return /^@[a-z][a-z0-9-]*/i.test(String(line).trim());
+}
+
+// Lines that can only start template structure (never fence bodies or values)
+function isStructuralLine(line) {
+  return (
+    /^>\s+/.test(line) ||
+    /^\s*\{/.test(line) ||
+    /^\s*\}\s*$/.test(line) ||
+    /^\s*#overrides\b/i.test(line) ||
+    isFenceStart(line)
+  );
+}
+
+// Parse `key:value` / flag tokens into an object.
+// When `locs` and `toPos` are given, the source range of every token is recorded
+// in `locs[key]` ({ line, column, endLine, endColumn, valueColumn? }), where
+// `toPos(offset)` maps an offset within `chunk` to a 1-based { line, column }.
+function parseProps(chunk, locs, toPos) {
   if (!chunk) return {};
 
   const obj = {};
@@ -238,8 +908,21 @@ function parseProps(chunk) {
   const nsTargets = new Set(["pdf", "ui"]);
 
   for (let i = 0; i < tokens.length; i++) {
-    const t = tokens[i];
+    const { text: t, start, end } = tokens[i];
     const colonIdx = t.indexOf(":");
+    if (locs && toPos) {
+      const from = toPos(start);
+      const to = toPos(end);
+      const key = colonIdx === -1 ? t : t.slice(0, colonIdx).trim();
+      locs[key] = {
+        line: from.line,
+        column: from.column,
+        endLine: to.line,
+        endColumn: to.column,
+      };
+      if (colonIdx !== -1)
+        locs[key].valueColumn = toPos(start + colonIdx + 1).column;
+    }
     if (colonIdx === -1) {
       // Bare flag -> boolean true
       obj[t] = true;
@@ -300,9 +983,12 @@ function parseProps(chunk) {
   return obj;
 }
 
+// Split on whitespace outside quotes. Returns [{ text, start, end }] with
+// 0-based offsets into `s` (end exclusive).
 function tokenize(s) {
   const out = [];
   let cur = "";
+  let curStart = 0;
   let inQuotes = false;
   let quoteChar = "";
   for (let i = 0; i < s.length; i++) {
@@ -317,6 +1003,7 @@ function tokenize(s) {
       continue;
     }
     if (c === '"' || c === "'") {
+      if (!cur) curStart = i;
       inQuotes = true;
       quoteChar = c;
       cur += c;
@@ -324,17 +1011,46 @@ function tokenize(s) {
     }
     if (/\s/.test(c)) {
       if (cur) {
-        out.push(cur);
+        out.push({ text: cur, start: curStart, end: i });
         cur = "";
       }
       continue;
     }
+    if (!cur) curStart = i;
     cur += c;
   }
-  if (cur) out.push(cur);
+  if (cur) out.push({ text: cur, start: curStart, end: s.length });
   return out;
 }
 
+// Source range covering one whole (trimmed) line.
+function lineLoc(lineNo, text) {
+  const s = text || "";
+  const lead = s.length - s.trimStart().length;
+  return {
+    line: lineNo,
+    column: lead + 1,
+    endLine: lineNo,
+    endColumn: s.trimEnd().length + 1,
+  };
+}
+
+// Position mapper for text produced by `lines.join(" ")`, where lines[0] is
+// source line `firstLine`.
+function joinedLinesPosition(lines, firstLine) {
+  const starts = [];
+  let acc = 0;
+  lines.forEach((l) => {
+    starts.push(acc);
+    acc += l.length + 1;
+  });
+  return (offset) => {
+    let idx = starts.length - 1;
+    while (idx > 0 && starts[idx] > offset) idx--;
+    return { line: firstLine + idx, column: offset - starts[idx] + 1 };
+  };
+}
+
 function stripQuotes(v) {
   if (typeof v !== "string") return v;
   if (
@@ -355,10 +1071,16 @@ function slugify(s) {
     .replace(/_+/g, "_");
 }
 
-function parseTitleAndProps(rest) {
+// Split a section/group header into its title and props. When `loc` is given,
+// `loc.title` and `loc.props` receive source ranges; `restStart` is the 0-based
+// column of `rest` within its line.
+function parseTitleAndProps(rest, loc, restStart = 0) {
   let title = "";
   let propsStr = "";
+  let propsStart = 0;
   const trimmed = rest.trim();
+  const trimmedStart = restStart + (rest.length - rest.trimStart().length);
+  if (loc) loc.props = {};
   if (!trimmed) return { title: "", props: {} };
   if (trimmed[0] === '"' || trimmed[0] === "'") {
     // parse quoted title
@@ -375,7 +1097,15 @@ function parseTitleAndProps(rest) {
       j++;
     }
     title = stripQuotes(trimmed.slice(0, j));
+    if (loc)
+      loc.title = {
+        line: loc.line,
+        column: trimmedStart + 1,
+        endLine: loc.line,
+        endColumn: trimmedStart + j + 1,
+      };
     propsStr = trimmed.slice(j).trim();
+    propsStart = j + (trimmed.slice(j).length - trimmed.slice(j).trimStart().length);
   } else {
     // find first key:value token occurrence to split title from props
     const m = /\s+([A-Za-z_][\w.-]*\s*:)/.exec(trimmed);
@@ -383,12 +1113,25 @@ function parseTitleAndProps(rest) {
       const idx = m.index;
       title = trimmed.slice(0, idx).trim();
       propsStr = trimmed.slice(idx).trim();
+      propsStart = idx + (trimmed.slice(idx).length - trimmed.slice(idx).trimStart().length);
     } else {
       title = trimmed;
       propsStr = "";
     }
+    if (loc && title)
+      loc.title = {
+        line: loc.line,
+        column: trimmedStart + 1,
+        endLine: loc.line,
+        endColumn: trimmedStart + title.length + 1,
+      };
   }
-  const props = parseProps(propsStr);
+  const props = loc
+    ? parseProps(propsStr, loc.props, (offset) => ({
+      line: loc.line,
+      column: trimmedStart + propsStart + offset + 1,
+    }))
+    : parseProps(propsStr);
   return { title, props };
 }
 
@@ -399,16 +1142,38 @@ function parseTitleAndProps(rest) {
 //   fetchImpl: custom fetch function (defaults to global fetch)
 //   onError: (msg, node) => void for diagnostics
 //   maxIncludeDepth: integer limit to prevent infinite recursion
-// Returns Promise<{ meta, ast }>
+//   sourceName: name of `source` recorded as provenance (see below)
+//   bundle: a pre-bundled template (object or JSON text from bundleMCTM, format
+//     "mctm-bundle") to load instead of `source`; JSON bundle text passed as
+//     `source` is detected automatically
+// Every resolved node records where it came from in `loc.source` (the include or
+// extends template path, or `sourceName` for the document itself).
+// Also resolves `@extends`: the parent template is resolved first (its own includes,
+// extends chain and overrides), then the child is merged onto it.
+// Returns Promise<{ meta, overrides, ast, diagnostics }>; diagnostics are the
+// structural diagnostics of `source` itself (errors in included templates go to onError)
 export async function parseMCTMResolved(source, options = {}) {
+  if (options.bundle) return readBundle(options.bundle);
+  const bundle = detectBundle(source);
+  if (bundle) return readBundle(bundle);
+  return resolveParsed(parseMCTM(source), options, [], options.sourceName);
+}
+
+async function resolveParsed(parsed, options, extendsChain, sourceName) {
   const {
     baseURL = typeof document !== "undefined" ? document.baseURI : "",
     fetchImpl = typeof fetch !== "undefined" ? fetch : null,
     onError,
     maxIncludeDepth = 64,
   } = options;
-  const parsed = parseMCTM(source);
-  if (!fetchImpl) return parsed;
+  if (!fetchImpl) {
+    if (parsed.extends && onError)
+      onError(
+        `Cannot resolve @extends '${parsed.extends.template}' without fetch`,
+        parsed.extends
+      );
+    return parsed;
+  }
   const cache = new Map(); // templateUrl -> { meta, ast }
   const activeStack = []; // array of { key, template, part }
   const activeSet = new Set(); // membership for cycle detection
@@ -420,6 +1185,15 @@ export async function parseMCTMResolved(source, options = {}) {
       if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
       const txt = await res.text();
       const sub = parseMCTM(txt);
+      if (onError)
+        sub.diagnostics
+          .filter((d) => d.level === "error")
+          .forEach((d) =>
+            onError(
+              `Include template '${url}' line ${d.line}: ${d.message}`,
+              sourceAt(d, url, "include")
+            )
+          );
       cache.set(url, sub);
       return sub;
     } catch (e) {
@@ -512,12 +1286,17 @@ export async function parseMCTMResolved(source, options = {}) {
         } else {
           replacement = []; // unknown type
         }
+        // Tagged before nested includes expand: their own nodes are tagged with
+        // the nested template, and include errors point into this one
+        tagSource(replacement, templateRef);
         // Recursively expand includes inside the replacement nodes
         for (const repNode of replacement) {
           if (repNode.type === "group" || repNode.type === "section") {
             await expandIncludesInArray([repNode], false); // treat repNode as root to expand nested includes
           }
         }
+        // prefix: namespaces every id of the imported subtree (after nested expansion)
+        if (node.prefix) prefixIds(replacement, String(node.prefix));
         // Replace include with replacement nodes
         arr.splice(idx, 1, ...replacement);
         idx += replacement.length - 1;
@@ -531,37 +1310,399 @@ export async function parseMCTMResolved(source, options = {}) {
     }
   }
 
+  if (sourceName) {
+    tagSource(parsed.ast, sourceName);
+    // Directives too, so resolution errors point into this template
+    tagSource([parsed.extends, ...(parsed.overrides || [])], sourceName);
+  }
   await expandIncludesInArray(parsed.ast, true);
 
-  // Apply overrides
-  if (parsed.overrides && parsed.overrides.length) {
-    for (const ov of parsed.overrides) {
-      if (!ov || !ov.target) continue;
-      const parts = ov.target.split(".");
-      const _id = parts.shift();
-      const _node = findPartById(parsed.ast, _id);
-      if (!_node || _node.type !== "field") continue;
-
-      // Override field value (default/content)
-      if (!parts.length) {
-        if (_node.fieldType === "static") _node.content = ov.value;
-        else _node.default = ov.value;
+  if (parsed.extends) {
+    const parent = await loadParent(parsed.extends);
+    if (parent)
+      mergeExtends(parsed, parent, (msg, node) => {
+        // Attribute merge problems to the directive kind, located at the child node
+        if (onError)
+          onError(msg, { type: "extends", line: node.line, loc: node.loc });
+      });
+  }
+
+  applyOverrides(parsed.ast, parsed.overrides, (msg, entry) => {
+    if (onError) onError(msg, entry);
+  });
+
+  return parsed;
+
+  async function loadParent(directive) {
+    const templateRef = directive.template;
+    if (!templateRef) {
+      if (onError) onError(`@extends is missing a template`, directive);
+      return null;
+    }
+    const url = resolveUrl(templateRef);
+    if (extendsChain.includes(url)) {
+      if (onError)
+        onError(
+          `Extends cycle detected: ${[...extendsChain, url].join(" -> ")}`,
+          directive
+        );
+      return null;
+    }
+    if (extendsChain.length >= maxIncludeDepth) {
+      if (onError)
+        onError(
+          `Extends depth limit (${maxIncludeDepth}) exceeded at '${templateRef}'`,
+          directive
+        );
+      return null;
+    }
+    let txt;
+    try {
+      const res = await fetchImpl(url);
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      txt = await res.text();
+    } catch (e) {
+      if (onError)
+        onError(
+          `Failed to load extended template '${templateRef}': ${e.message}`,
+          directive
+        );
+      return null;
+    }
+    const parentParsed = parseMCTM(txt);
+    if (onError)
+      parentParsed.diagnostics
+        .filter((d) => d.level === "error")
+        .forEach((d) =>
+          onError(
+            `Extended template '${templateRef}' line ${d.line}: ${d.message}`,
+            sourceAt(d, templateRef, "extends")
+          )
+        );
+    return resolveParsed(
+      parentParsed,
+      options,
+      [...extendsChain, url],
+      templateRef
+    );
+  }
+}
+
+// onError node for a structural diagnostic `d` of the template `source`
+function sourceAt(d, source, type) {
+  return {
+    type,
+    line: d.line,
+    loc: {
+      line: d.line,
+      column: d.column,
+      endLine: d.endLine,
+      endColumn: d.endColumn,
+      source,
+    },
+  };
+}
+
+// Record provenance on nodes that do not have it yet (nested includes are tagged first).
+function tagSource(nodes, source) {
+  nodes.forEach((n) => {
+    if (!n) return;
+    if (!n.loc) n.loc = {};
+    if (n.loc.source === undefined) n.loc.source = source;
+    if (n.children) tagSource(n.children, source);
+  });
+}
+
+// ---- Bundles ----
+export const BUNDLE_FORMAT = "mctm-bundle";
+export const BUNDLE_VERSION = 1;
+
+// JSON bundle text (as written by bundleMCTM) -> bundle object, otherwise null
+function detectBundle(source) {
+  if (typeof source !== "string" || !/^\s*\{/.test(source)) return null;
+  try {
+    const value = JSON.parse(source);
+    return value && value.format === BUNDLE_FORMAT ? value : null;
+  } catch {
+    return null; // MCTM that starts with a group
+  }
+}
+
+// Load a pre-bundled template; includes, extends and overrides are already applied.
+function readBundle(bundle) {
+  const value = typeof bundle === "string" ? JSON.parse(bundle) : bundle;
+  if (!value || value.format !== BUNDLE_FORMAT)
+    throw new Error("Not an MCTM bundle");
+  if (value.version !== BUNDLE_VERSION)
+    throw new Error(`Unsupported MCTM bundle version ${value.version}`);
+  return {
+    meta: { ...(value.meta || {}) },
+    overrides: [],
+    ast: cloneNode(value.ast || []),
+    diagnostics: [],
+    sources: value.sources || [],
+  };
+}
+
+// Apply #overrides entries to the (fully expanded) AST in order.
+// Entries whose target or anchor id does not exist are skipped (the linter reports
+// them); other failures go to `report(msg, entry)`. Applied #remove entries are
+// flagged `applied` so the linter does not report their (now missing) target.
+function applyOverrides(ast, overrides, report) {
+  if (!overrides || !overrides.length) return;
+  for (const ov of overrides) {
+    if (!ov) continue;
+    if (ov.op === "remove") {
+      const at = locateNode(ast, ov.target);
+      if (!at) continue;
+      at.list.splice(at.index, 1);
+      ov.applied = true;
+      continue;
+    }
+    if (ov.op === "move") {
+      const from = locateNode(ast, ov.target);
+      if (!from || !locateNode(ast, ov.ref)) continue;
+      const moved = from.list[from.index];
+      if (findPartById([moved], ov.ref)) {
+        report(
+          `Cannot move '${ov.target}' ${ov.position} its own descendant '${ov.ref}'`,
+          ov
+        );
+        continue;
+      }
+      const dest = locateNode(ast, ov.ref);
+      if (moved.type === "section" && dest.list !== ast) {
+        report(
+          `Cannot move section '${ov.target}' into a nested position`,
+          ov
+        );
+        continue;
+      }
+      from.list.splice(from.index, 1);
+      const to = locateNode(ast, ov.ref);
+      const toIndex = ov.position === "after" ? to.index + 1 : to.index;
+      to.list.splice(toIndex, 0, moved);
+      continue;
+    }
+    if (ov.op === "insert") {
+      const at = locateNode(ast, ov.ref);
+      if (!at) continue;
+      // Sections inserted into a nested position are inlined (as with @include)
+      const nodes = cloneNode(ov.nodes || []).flatMap((n) =>
+        n.type === "section" && at.list !== ast ? n.children || [] : [n]
+      );
+      const atIndex = ov.position === "after" ? at.index + 1 : at.index;
+      at.list.splice(atIndex, 0, ...nodes);
+      continue;
+    }
+    if (!ov.target) continue;
+    const parts = ov.target.split(".");
+    const _id = parts.shift();
+    const _node = findPartById(ast, _id);
+    if (!_node) continue;
+    if (_node.type !== "field") {
+      // Sections and groups only accept property overrides (title, if, layout, ...)
+      if (!parts.length || CONTAINER_LOCKED_PROPS.includes(parts[0])) continue;
+    }
+
+    // Override field value (default/content)
+    if (!parts.length) {
+      if (_node.fieldType === "static") _node.content = ov.value;
+      else _node.default = overrideValue(_node, "default", ov.value);
+    } else {
+      // property override (support one level namespacing like pdf.hidden)
+      const propName = parts.join(".");
+      const value = overrideValue(_node, propName, ov.value);
+      if (parts.length === 2 && (parts[0] === "pdf" || parts[0] === "ui")) {
+        const ns = parts[0];
+        const prop = parts[1];
+        if (!_node[ns] || typeof _node[ns] !== "object") _node[ns] = {};
+        _node[ns][prop] = value;
       } else {
-        // property override (support one level namespacing like pdf.hidden)
-        if (parts.length === 2 && (parts[0] === "pdf" || parts[0] === "ui")) {
-          const ns = parts[0];
-          const prop = parts[1];
-          if (!_node[ns] || typeof _node[ns] !== "object") _node[ns] = {};
-          _node[ns][prop] = ov.value;
-        } else {
-          const propName = parts.join(".");
-          _node[propName] = ov.value;
-        }
+        _node[propName] = value;
       }
     }
   }
+}
 
-  return parsed;
+// Props that hold a boolean. `true` / `false` override values are booleans only
+// for these and for the default of a checkbox, toggle group or optional section.
+export const BOOLEAN_PROPS = [
+  "required",
+  "multiline",
+  "multiple",
+  "optional",
+  "toggle",
+  "shownegatives",
+  "nooutput",
+  "pdf.hidden",
+  "ui.hidden",
+  "pdf.hidelabels",
+];
+
+// Override value typed for `prop` of `node`: `true` / `false` is a boolean for
+// boolean props and text for the rest (`a.label: true` is the label "true").
+function overrideValue(node, prop, value) {
+  const boolean =
+    BOOLEAN_PROPS.includes(prop) ||
+    (prop === "default" &&
+      (node.fieldType === "checkbox" ||
+        node.toggle === true ||
+        String(node.toggle).toLowerCase() === "true" ||
+        node.optional === true));
+  if (boolean && typeof value === "string" && /^(true|false)$/i.test(value))
+    return /^true$/i.test(value);
+  if (!boolean && typeof value === "boolean") return String(value);
+  return value;
+}
+
+// Section/group props an override may not replace (structure is changed with directives)
+export const CONTAINER_LOCKED_PROPS = ["type", "id", "children", "line", "loc"];
+
+// Locate a node by id (optionally of one type); returns its containing list and index.
+function locateNode(ast, id, type) {
+  const stack = [ast];
+  while (stack.length) {
+    const list = stack.shift();
+    for (let index = 0; index < list.length; index++) {
+      const n = list[index];
+      if (!n) continue;
+      if (n.type !== "include" && n.id === id && (!type || n.type === type))
+        return { list, index };
+      if (n.children && n.children.length) stack.push(n.children);
+    }
+  }
+  return null;
+}
+
+// ---- Template Inheritance ----
+// Values accepted by the `merge:` prop of a section or group in an extending template.
+export const MERGE_MODES = ["replace", "append", "prepend", "drop"];
+
+// Merge a child template onto its resolved parent, in place on `child`.
+//   meta: parent keys, child keys win.
+//   sections (root, matched by id) and groups (anywhere, matched by id, also
+//   when nested in a child section or group) take
+//   `merge:replace|append|prepend|drop` (default replace); unmatched child
+//   nodes are appended to the parent's root in source order.
+// The parent's overrides were already applied while resolving it.
+function mergeExtends(child, parent, report) {
+  const ast = parent.ast;
+  ast.push(...mergeNodes(child.ast, ast, report));
+  child.meta = { ...parent.meta, ...child.meta };
+  child.ast = ast;
+}
+
+// Merge child `nodes` onto the parent `ast`; returns the nodes that matched
+// nothing, without the groups nested in them that did match.
+function mergeNodes(nodes, ast, report) {
+  const unmatched = [];
+  for (const node of nodes) {
+    const mode = node.merge === undefined ? "replace" : String(node.merge);
+    const target =
+      node.id && (node.type === "section" || node.type === "group")
+        ? locateNode(ast, node.id, node.type)
+        : null;
+    if (!target) {
+      if (mode === "drop" || mode === "append" || mode === "prepend") {
+        report(
+          `Cannot ${mode} '${node.id || node.title}': no ${node.type} with that id in the extended template`,
+          node
+        );
+        continue;
+      }
+      if (node.children) node.children = mergeNodes(node.children, ast, report);
+      unmatched.push(node);
+      continue;
+    }
+    const { list, index } = target;
+    const existing = list[index];
+    if (mode === "drop") list.splice(index, 1);
+    else if (mode === "append" || mode === "prepend") {
+      const { children, type, line, loc, title, merge, ...props } = node;
+      Object.assign(existing, props);
+      if (title) existing.title = title;
+      const added = mergeNodes(children || [], ast, report);
+      if (mode === "append") existing.children.push(...added);
+      else existing.children.unshift(...added);
+    } else list.splice(index, 1, node);
+  }
+  return unmatched;
+}
+
+// Props whose values are expressions referencing other nodes by id.
+export const EXPRESSION_PROPS = [
+  "if",
+  "required_if",
+  "readonly_if",
+  "formula",
+  "check",
+];
+
+// Rewrite every id in `nodes` to `prefix + id`, along with references to those ids
+// in EXPRESSION_PROPS, expression defaults and `{id}` placeholders of group
+// `format` strings.
+// References to ids outside the subtree are left alone.
+function prefixIds(nodes, prefix) {
+  const renames = new Map();
+  const walk = (list, fn) =>
+    list.forEach((n) => {
+      if (!n) return;
+      fn(n);
+      if (n.children) walk(n.children, fn);
+    });
+  walk(nodes, (n) => {
+    if (n.id !== undefined && n.id !== "")
+      renames.set(String(n.id), prefix + n.id);
+  });
+  if (!renames.size) return;
+  walk(nodes, (n) => {
+    if (renames.has(String(n.id))) n.id = renames.get(String(n.id));
+    EXPRESSION_PROPS.forEach((prop) => {
+      if (typeof n[prop] === "string")
+        n[prop] = renameRefs(
+          n[prop],
+          renames,
+          prop === "formula" ? formulaRefs : fieldRefs
+        );
+    });
+    // Expression defaults (`default:=expr`); a `==` default is literal text
+    const defaultExpr = n.type === "field" && defaultExpression(n.default);
+    if (defaultExpr)
+      n.default = "=" + renameRefs(defaultExpr, renames, fieldRefs);
+    if (n.type === "group" && typeof n.format === "string")
+      n.format = n.format.replace(/\{([^{}]+)\}/g, (m, id) =>
+        renames.has(id.trim()) ? `{${renames.get(id.trim())}}` : m
+      );
+  });
+}
+
+// Field references of a condition. Right-hand bare words (`status==active`)
+// are values unless a field has that name, so they are not renamed.
+function fieldRefs(expr) {
+  return conditionRefs(expr).filter((ref) => !ref.optional);
+}
+
+// Replace the references `refsOf(expr)` finds to ids in `renames`, by offset,
+// so strings, regex literals and `[...]` items are never touched. Expressions
+// that do not parse are left as written (the linter reports them).
+function renameRefs(expr, renames, refsOf) {
+  let refs;
+  try {
+    refs = refsOf(expr);
+  } catch {
+    return expr;
+  }
+  let out = "";
+  let last = 0;
+  refs
+    .filter((ref) => renames.has(ref.name))
+    .sort((a, b) => a.start - b.start)
+    .forEach((ref) => {
+      out += expr.slice(last, ref.start) + renames.get(ref.name);
+      last = ref.start + ref.name.length;
+    });
+  return out + expr.slice(last);
 }
 
 function cloneNode(node) {
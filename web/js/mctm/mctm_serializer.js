@@ -0,0 +1,320 @@
+import { parseMCTM } from "./mctm_parser.js";
+
+// Canonical MCTM writer.
+// serializeMCTM(ast, meta, overrides) produces text that parses back (via parseMCTM)
+// to the same meta, overrides and AST, ignoring `line` / `loc`. Output is canonical:
+//   - props in the order of the node's keys (source order for a parsed template)
+//   - section titles and values quoted only when needed; group titles always quoted
+//   - auto-generated section/group ids omitted
+//   - group children indented two spaces per level; static content kept verbatim
+//   - one blank line around sections, groups and paragraphs
+// Root-level nodes that follow a section cannot be expressed in MCTM (they would
+// parse into that section), so they are written where they appear.
+
+const INDENT = "  ";
+// Node keys that are structure, not props
+const STRUCTURAL_KEYS = new Set([
+  "type",
+  "fieldType",
+  "title",
+  "children",
+  "line",
+  "loc",
+]);
+const NAMESPACES = ["pdf", "ui"];
+
+/**
+ * Serialize a parsed template back to MCTM text.
+ * @param {Array} ast
+ * @param {Object} [meta]
+ * @param {Array} [overrides]
+ * @param {{extends?:Object, headerComments?:string[]}} [options] Extra parse results
+ *   (`parsed.extends`, `parsed.headerComments`) to write back.
+ * @returns {string}
+ */
+export function serializeMCTM(ast, meta = {}, overrides = [], options = {}) {
+  const out = [];
+  const { mctmversion, ...metaProps } = meta || {};
+  if (mctmversion) out.push(`@mctm ${mctmversion}`);
+  (options.headerComments || []).forEach((c) => out.push(c));
+  if (options.extends)
+    out.push(fenceLine("extends", propsOf(options.extends)));
+  const metaKeys = Object.keys(metaProps);
+  if (metaKeys.length) {
+    out.push("---");
+    metaKeys.forEach((key) => {
+      const value = formatMetaValue(metaProps[key]);
+      out.push(value ? `${key}: ${value}` : `${key}:`);
+    });
+    out.push("---");
+  }
+  if (overrides && overrides.length) {
+    if (out.length) out.push("");
+    out.push("#overrides", ...serializeOverrides(overrides), "#end");
+  }
+  const body = joinBlocks(serializeNodes(ast || [], 0));
+  if (body.length) {
+    if (out.length) out.push("");
+    out.push(...body);
+  }
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Reformat MCTM source canonically, keeping comments, @define blocks and @use calls.
+ * Throws when the source has structural errors (formatting it could lose content).
+ * @param {string} source
+ * @returns {string}
+ */
+export function formatMCTM(source) {
+  const parsed = parseMCTM(source, { preserve: true });
+  const error = parsed.diagnostics.find((d) => d.level === "error");
+  if (error)
+    throw new Error(
+      `Cannot format: line ${error.line}:${error.column}: ${error.message}`
+    );
+  return serializeMCTM(parsed.ast, parsed.meta, parsed.overrides, {
+    extends: parsed.extends,
+    headerComments: parsed.headerComments,
+  });
+}
+
+// #region Nodes
+
+// Each node becomes a block { kind, lines }; joinBlocks decides the blank lines.
+function serializeNodes(nodes, depth) {
+  return nodes.filter(Boolean).map((node) => serializeNode(node, depth));
+}
+
+function serializeNode(node, depth) {
+  const pad = INDENT.repeat(depth);
+  switch (node.type) {
+    case "section": {
+      const header = `> ${headerText(node, "section_")}`;
+      const body = joinBlocks(serializeNodes(node.children || [], 0));
+      return {
+        kind: "section",
+        lines: body.length ? [header, "", ...body] : [header],
+      };
+    }
+    case "group": {
+      const header = headerText(node, "group_");
+      const lines = [pad + (header ? `{ ${header}` : "{")];
+      joinBlocks(serializeNodes(node.children || [], depth + 1)).forEach((l) =>
+        lines.push(l)
+      );
+      lines.push(pad + "}");
+      return { kind: "group", lines };
+    }
+    case "comment":
+      return { kind: "comment", lines: [pad + node.text] };
+    case "define": {
+      const params = (node.params || []).map(
+        (p) => p.name + (p.optional ? "?" : "")
+      );
+      const head = [`@define ${node.name}`];
+      if (params.length) head.push(formatProp("params", params));
+      return {
+        kind: "define",
+        lines: [head.join(" "), ...(node.body || []), "@enddefine"],
+      };
+    }
+    case "use":
+      return {
+        kind: "field",
+        lines: [
+          pad + fenceLine("use", [node.name, ...propsOf(node.args || {})]),
+        ],
+      };
+    case "include":
+      return {
+        kind: "field",
+        lines: [pad + fenceLine("include", propsOf(node))],
+      };
+    case "rule":
+      return {
+        kind: "field",
+        lines: [pad + fenceLine("rule", propsOf(node))],
+      };
+    default:
+      return serializeField(node, pad);
+  }
+}
+
+function serializeField(node, pad) {
+  const type = node.fieldType;
+  if (type === "static") {
+    const { content, ...rest } = node;
+    const props = propsOf(rest);
+    const text =
+      content === undefined || content === null ? "" : String(content);
+    if (!text) return { kind: "field", lines: [pad + fenceLine(type, props)] };
+    if (!props.length && isParagraphSafe(text))
+      return { kind: "paragraph", lines: text.split("\n") };
+    // Fence lines are indented, the body is verbatim (it is the content)
+    return {
+      kind: "field",
+      lines: [
+        pad + ["@static", ...props].join(" "),
+        ...text.split("\n"),
+        pad + "@",
+      ],
+    };
+  }
+  return {
+    kind: "field",
+    lines: [pad + fenceLine(type, propsOf(node))],
+  };
+}
+
+// A paragraph is written as bare text when every line would parse back as part
+// of the same paragraph.
+function isParagraphSafe(text) {
+  const lines = text.split("\n");
+  return lines.every(
+    (l, idx) =>
+      l.trim() &&
+      !/^#/.test(l.trim()) &&
+      !/^>\s+/.test(l) &&
+      !/^@/.test(l.trim()) &&
+      !/^\s*(\/\/|%%)/.test(l) &&
+      !/^\s*[{}]/.test(l) &&
+      !(idx === 0 && /^\s*---\s*$/.test(l))
+  );
+}
+
+function joinBlocks(blocks) {
+  const lines = [];
+  blocks.forEach((block, idx) => {
+    const prev = blocks[idx - 1];
+    if (prev && needsBlankLine(prev, block)) lines.push("");
+    lines.push(...block.lines);
+  });
+  return lines;
+}
+
+function needsBlankLine(prev, next) {
+  if (prev.kind === "comment") return false; // comments stay attached to what follows
+  const spaced = ["section", "group", "paragraph", "define"];
+  return spaced.includes(prev.kind) || spaced.includes(next.kind);
+}
+
+// #endregion
+
+// #region Props & values
+
+function headerText(node, autoIdPrefix) {
+  const autoId = node.title ? autoIdPrefix + slugify(node.title) : undefined;
+  const rest = { ...node };
+  if (rest.id === autoId) delete rest.id;
+  const props = propsOf(rest);
+  const title = node.title || "";
+  // A group with neither title nor props is just `{`
+  if (node.type === "group" && !title && !props.length) return "";
+  if (node.type === "group") return [quote(title), ...props].join(" ");
+  if (!title) return props.join(" ");
+  return [isBareTitle(title, props) ? title : quote(title), ...props].join(" ");
+}
+
+// The parser ends a bare section title at the first ` key:` token, so a title
+// stays bare (`> Demographics`) unless it holds one, starts with a quote, or is
+// followed by a flag (which would be read as part of it).
+function isBareTitle(title, props) {
+  return (
+    /^[^\s"']/.test(title) &&
+    !/\s$|\n/.test(title) &&
+    !/\s[A-Za-z_][\w.-]*\s*:/.test(title) &&
+    (!props.length || /^[A-Za-z_][\w.-]*:/.test(props[0]))
+  );
+}
+
+// Prop tokens for a node, in the order of its keys (namespaced pdf.* / ui.*
+// flags where the first of them was).
+function propsOf(node) {
+  return Object.keys(node)
+    .filter((k) => !STRUCTURAL_KEYS.has(k) && node[k] !== undefined)
+    .map((k) => formatProp(k, node[k]))
+    .filter(Boolean);
+}
+
+function formatProp(key, value) {
+  if (value === true) return key;
+  if (value === false) return `${key}:false`;
+  if (Array.isArray(value)) return `${key}:${quote(`[${value.join(", ")}]`)}`;
+  if (value && typeof value === "object") {
+    if (!NAMESPACES.includes(key)) return ""; // not expressible as a prop
+    // Namespaced flags need an explicit value: only `ns.prop:value` is folded
+    return Object.keys(value)
+      .map((k) =>
+        value[k] === true
+          ? `${key}.${k}:true`
+          : formatProp(`${key}.${k}`, value[k])
+      )
+      .filter(Boolean)
+      .join(" ");
+  }
+  return `${key}:${formatValue(value)}`;
+}
+
+// Bare when the token survives tokenizing and is not re-read as a boolean/array
+function formatValue(value) {
+  const s = String(value);
+  if (s && /^[^\s"'[]+$/.test(s) && !/^(true|false)$/i.test(s)) return s;
+  return quote(s);
+}
+
+function formatMetaValue(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  if (!s || /^[^\s"']+$/.test(s)) return s;
+  return quote(s);
+}
+
+function quote(s) {
+  const text = String(s);
+  return text.includes('"') && !text.includes("'") ? `'${text}'` : `"${text}"`;
+}
+
+function fenceLine(type, props) {
+  return [`@${type}`, ...props, "@"].join(" ");
+}
+
+// Must match the parser's auto-id slugs
+function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9._-]/gi, "_")
+    .replace(/_+/g, "_");
+}
+
+// #endregion
+
+// #region Overrides
+
+function serializeOverrides(overrides) {
+  const lines = [];
+  overrides.forEach((ov) => {
+    if (!ov) return;
+    if (ov.comment) lines.push(ov.comment);
+    else if (ov.op === "remove") lines.push(`#remove ${ov.target}`);
+    else if (ov.op === "move")
+      lines.push(`#move ${ov.target} ${ov.position}:${ov.ref}`);
+    else if (ov.op === "insert") {
+      lines.push(`#insert ${ov.position}:${ov.ref}`);
+      lines.push(...joinBlocks(serializeNodes(ov.nodes || [], 0)));
+      lines.push("#endinsert");
+    } else if (ov.target)
+      lines.push(`${ov.target}: ${formatOverrideValue(ov.value)}`);
+  });
+  return lines;
+}
+
+function formatOverrideValue(value) {
+  if (Array.isArray(value)) return `[${value.join(", ")}]`;
+  if (typeof value === "boolean") return String(value);
+  const s = value === undefined || value === null ? "" : String(value);
+  if (s && /^[^\s'"[]\S*$/.test(s) && !/^(true|false)$/i.test(s)) return s;
+  return quote(s);
+}
+
+// #endregion
@@ -3,6 +3,7 @@ import { parseMarkdown } from "./md_parser.js";
 import { getKnownChronicDiseases } from "./defaults.js";
 import { getDepartmentById } from "./search_handler.js";
 import { computeMedicationDisplay } from "./utils/prescription.js";
+import { formatComputedValue } from "./utils/format.js";
 
 let fontsLoaded = false;
 async function ensurePdfMakeFonts() {
@@ -44,7 +45,8 @@ function createPdfContext(meta, ast, values) {
 function nodeVisible(node, ctx) {
     if (!node) return false;
     if (node.pdf && node.pdf.hidden) return false;
-    if (node.if && !safeEvalCondition(node.if, ctx.getValue)) return false;
+    if (node.if && !safeEvalCondition(node.if, ctx.getValue, ctx.meta))
+        return false;
     return true;
 }
 
@@ -586,7 +588,13 @@ function buildFieldLine(node, val, options = {}) {
                 text = val ? node.truevalue || "(+)" : node.falsevalue || "(-)";
             break;
         }
-        case "computed":
+        case "computed": {
+            // Same text as the form shows (utils/format.js)
+            text = formatComputedValue(val, node.format);
+            if (text && node.unit) text += ` ${node.unit}`;
+            if (!text && node.fallback) text = String(node.fallback);
+            break;
+        }
         case "number":
         case "segmented": {
             if (val !== undefined && val !== null && val !== 0 && val !== "0")
@@ -620,9 +628,9 @@ function str(v) {
     return String(v);
 }
 
-function safeEvalCondition(expr, getValue) {
+function safeEvalCondition(expr, getValue, meta) {
     try {
-        return evaluateCondition(expr, getValue);
+        return evaluateCondition(expr, getValue, meta);
     } catch {
         return false;
     }
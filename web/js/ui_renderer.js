@@ -14,11 +14,28 @@ import { FrequencyEditor } from "./components/frequencyeditor.js";
 import { QuantityUnitInput } from "./components/quantityunit.js";
 import { SegmentedNumber } from "./components/segmentednumber.js";
 
-import { evaluateCondition } from "./conditional.js";
-import { applyValidation } from "./validation.js";
+import {
+    evaluateCondition,
+    evaluateExpression,
+    defaultExpression,
+    truthy,
+} from "./conditional.js";
+import { evaluateFormula, formulaText } from "./formula.js";
+import {
+    applyValidation,
+    createFieldValidator,
+    focusControl,
+    hasContent,
+    inputProblem,
+    softLimitProblem,
+    softLimits,
+} from "./validation.js";
 import { parseMarkdown, escapeHtml } from "./md_parser.js";
 import { getKnownChronicDiseases, getKnownPastEvents } from "./defaults.js";
 import { toNumberSafe, durationToDays } from "./utils/prescription.js";
+import { orderComputed } from "./mctm/mctm_graph.js";
+import { formatComputedValue } from "./utils/format.js";
+import { formatISODate } from "./utils/dates.js";
 
 /**
  * Render the full UI given parsed AST + meta.
@@ -48,6 +65,9 @@ export function renderUI(root, state) {
 
 // Registry for modular field renderers. Each renderer receives (node, wrapper, state)
 // and must attach appropriate elements to wrapper and register value access in state.fieldRefs.
+// Input renderers return the parts of the field's validator they implement
+// (`validate`, `control`, `focus`, `messageHost`; see createFieldValidator);
+// `required` is checked for them on the field's value.
 const FIELD_RENDERERS = {
     text(node, wrapper, state) {
         if (node.multiline)
@@ -77,12 +97,19 @@ const FIELD_RENDERERS = {
         span.id = node.id;
         span.className = "computed-value";
         wrapper.appendChild(span);
+        // The value is the formula result; the span shows it in `format:`
+        let raw = "";
         state.fieldRefs[node.id] = {
             get value() {
-                return span.textContent;
+                return raw;
             },
             set value(v) {
-                span.textContent = v;
+                raw = v ?? "";
+                span.textContent = formatComputedValue(
+                    raw,
+                    node.format,
+                    node.fallback
+                );
             },
         };
         state.computed.push(node);
@@ -97,6 +124,10 @@ const FIELD_RENDERERS = {
 function renderNodes(nodes, parent, state, renderUI = true) {
     for (const node of nodes) {
         if (!node || node.type === "include") continue;
+        if (node.type === "rule") {
+            registerRule(node, parent, state);
+            continue;
+        }
         const hideUI = (node.ui && node.ui.hidden) === true;
         const nodeRenderUI = renderUI && !hideUI;
 
@@ -128,6 +159,7 @@ function renderNodes(nodes, parent, state, renderUI = true) {
                 (node.children || []).forEach((ch) => {
                     if (!ch) return;
                     if (ch.type === "field") registerHiddenUIField(ch, state);
+                    else if (ch.type === "rule") registerRule(ch, parent, state);
                     else if (ch.type === "group" || ch.type === "section")
                         renderNodes([ch], parent, state, false);
                 });
@@ -312,16 +344,23 @@ function registerHiddenUIField(node, state) {
     if (!node || !node.id) return;
     if (state.fieldRefs[node.id]) return;
     state.fieldRefs[node.id] = {
-        value: node.default !== undefined ? node.default : "",
+        value: staticDefault(node) ?? "",
     };
     if (node.fieldType === "computed") state.computed.push(node);
 }
 
+// Rules are checked by validation.js (evaluateRules); `scope` is the element
+// they are declared in, so they lapse while it is hidden or switched off.
+function registerRule(node, scope, state) {
+    state.rules.push({ node, scope });
+}
+
 function renderGroup(node, state, renderNodes) {
     const wrapper = document.createElement("div");
     wrapper.className = "group";
     wrapper.dataset.groupId = node.id || "";
     if (node.if) wrapper.dataset.condition = node.if;
+    setConditionalState(wrapper, node);
     if (node.pdf && node.pdf.hidden) wrapper.dataset.pdfHidden = "true";
     if (node.ui && node.ui.hidden) wrapper.dataset.uiHidden = "true";
 
@@ -338,6 +377,10 @@ function renderGroup(node, state, renderNodes) {
 
     (node.children || []).forEach((ch) => {
         if (!ch || ch.type === "include") return;
+        if (ch.type === "rule") {
+            registerRule(ch, wrapper, state);
+            return;
+        }
         if (ch.type === "group") {
             if (ch.ui && ch.ui.hidden) renderNodes([ch], body, false);
             else {
@@ -404,12 +447,20 @@ function renderGroup(node, state, renderNodes) {
     return wrapper;
 }
 
+// `required_if:` / `readonly_if:` are evaluated like `if:`
+// (evaluateConditionRow) and apply to the field, or every field of the group
+function setConditionalState(wrapper, node) {
+    if (node.required_if) wrapper.dataset.requiredIf = node.required_if;
+    if (node.readonly_if) wrapper.dataset.readonlyIf = node.readonly_if;
+}
+
 function renderField(node, state) {
     const wrapper = document.createElement("div");
     wrapper.className = "form-row";
     wrapper.dataset.fieldId = node.id;
     wrapper.dataset.fieldType = node.fieldType;
     if (node.if) wrapper.dataset.condition = node.if;
+    setConditionalState(wrapper, node);
     if (node.label) {
         const label = document.createElement("label");
         label.textContent = node.label;
@@ -423,11 +474,25 @@ function renderField(node, state) {
     // Choose renderer
     const type = node.fieldType;
     const renderer = FIELD_RENDERERS[type];
-    if (renderer) renderer(node, wrapper, state);
+    let validatorParts;
+    if (renderer) validatorParts = renderer(node, wrapper, state);
     else {
         // Fallback to basic text input to avoid losing data unexpectedly
-        renderInputField({ ...node, fieldType: "text" }, wrapper, state);
+        validatorParts = renderInputField(
+            { ...node, fieldType: "text" },
+            wrapper,
+            state
+        );
     }
+    if (node.id && !["static", "computed", "hidden"].includes(type))
+        state.validators.push(
+            createFieldValidator(
+                node,
+                wrapper,
+                () => getFieldValue(node.id, state),
+                validatorParts
+            )
+        );
     // Legacy commented block preserved for reference
     // else if (node.fieldType === 'general-exam') {
     //     const title = document.createElement('label'); title.textContent = node.label || 'General Examination'; wrapper.appendChild(title);
@@ -502,11 +567,12 @@ function renderSegmentedNumberField(node, wrapper, state) {
     seg.id = node.id;
 
     // default values support: node.default can be a formatted string OR array of segment values
-    if (node.default !== undefined) {
-        if (Array.isArray(node.default)) {
-            seg.setAttribute("values", node.default.map(v => v == null ? "" : v).join(","));
-        } else if (typeof node.default === "string") {
-            seg.value = node.default;
+    const def = staticDefault(node);
+    if (def !== undefined) {
+        if (Array.isArray(def)) {
+            seg.setAttribute("values", def.map(v => v == null ? "" : v).join(","));
+        } else if (typeof def === "string") {
+            seg.value = def;
         }
     }
 
@@ -529,6 +595,30 @@ function renderSegmentedNumberField(node, wrapper, state) {
             }
         }
     };
+    const limits = softLimits(node);
+    return {
+        control: seg,
+        // A partly entered value (120/) is incomplete even when optional;
+        // soft limits apply to each segment
+        validate() {
+            const values = seg.rawValues;
+            if (!values.some((v) => v.trim() !== "")) return null;
+            const keys = seg.segmentKeys;
+            const missing = keys.filter((k, i) => !values[i].trim());
+            if (missing.length)
+                return { message: `Missing ${missing.join(", ")}`, control: seg };
+            for (let i = 0; i < keys.length; i++) {
+                const problem = softLimitProblem(values[i], limits, node.unit, seg);
+                if (problem)
+                    return { ...problem, message: `${keys[i]}: ${problem.message}` };
+            }
+            return null;
+        },
+        focus: () => {
+            const inputs = [...seg.querySelectorAll("input")];
+            focusControl(inputs.find((i) => !i.value.trim()) || seg);
+        },
+    };
 }
 
 function renderDiagnosisField(node, wrapper, state) {
@@ -604,6 +694,7 @@ function renderDiagnosisField(node, wrapper, state) {
             renderTags();
         },
     };
+    return { control: ac };
 }
 
 const _durationUnits = ["days", "weeks", "months", "years"];
@@ -717,6 +808,10 @@ function renderComplaintsField(node, wrapper, state) {
             }
         },
     };
+    return {
+        control: editor,
+        focus: (problem) => focusEntry(problem, editor),
+    };
 }
 
 function renderChronicDiseasesField(node, wrapper, state) {
@@ -836,6 +931,10 @@ function renderChronicDiseasesField(node, wrapper, state) {
             }
         },
     };
+    return {
+        control: editor,
+        focus: (problem) => focusEntry(problem, editor),
+    };
 }
 
 function renderPastEventsField(node, wrapper, state) {
@@ -898,6 +997,10 @@ function renderPastEventsField(node, wrapper, state) {
             }
         },
     };
+    return {
+        control: editor,
+        focus: (problem) => focusEntry(problem, editor),
+    };
 }
 
 function renderMedicationsField(node, wrapper, state) {
@@ -1142,6 +1245,51 @@ function renderMedicationsField(node, wrapper, state) {
             }
         },
     };
+    return {
+        control: editor,
+        validate: () => medicationRowProblem(editor),
+        focus: (problem) => focusEntry(problem, editor),
+    };
+}
+
+// Every medication row needs a dose and a frequency; the problem points at the
+// first missing cell
+function medicationRowProblem(editor) {
+    const rows = editor.items;
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        if (!hasContent(row.name)) continue;
+        const frequency =
+            row.frequency && typeof row.frequency === "object"
+                ? row.frequency.value
+                : row.frequency;
+        const missing = [];
+        if (!hasContent(row.dosage && row.dosage.value))
+            missing.push(["dosage", "dose"]);
+        if (!hasContent(frequency)) missing.push(["frequency", "frequency"]);
+        if (!missing.length) continue;
+        const cell = editor.querySelector(
+            `[data-row="${i}"][data-key="${missing[0][0]}"]`
+        );
+        return {
+            message: `${row.name}: enter ${missing.map((m) => m[1]).join(" and ")}`,
+            control: cell || editor,
+        };
+    }
+    return null;
+}
+
+// Focus a collection field's problem cell, else its first entry, else its add
+// button
+function focusEntry(problem, container, addButton) {
+    if (problem && problem.control && problem.control !== container)
+        return focusControl(problem.control);
+    const entry = container.querySelector(
+        "tbody input, tbody select, tbody textarea, li input"
+    );
+    focusControl(
+        entry || addButton || container.querySelector(".add-button") || container
+    );
 }
 
 function renderInputField(node, wrapper, state) {
@@ -1154,7 +1302,8 @@ function renderInputField(node, wrapper, state) {
     if (node.min) input.min = node.min;
     if (node.max) input.max = node.max;
     if (node.pattern) input.pattern = node.pattern;
-    if (node.default !== undefined) input.value = node.default;
+    const def = staticDefault(node);
+    if (def !== undefined) input.value = def;
     wrapper.appendChild(input);
     state.fieldRefs[node.id] = input;
     if (node.required || node.min || node.max || node.pattern) {
@@ -1165,6 +1314,13 @@ function renderInputField(node, wrapper, state) {
             pattern: node.pattern,
         });
     }
+    const limits = node.fieldType === "number" ? softLimits(node) : null;
+    return {
+        control: input,
+        validate: () =>
+            inputProblem(input) ||
+            softLimitProblem(input.value, limits, node.unit, input),
+    };
 }
 
 function renderMultiLineTextField(node, wrapper, state) {
@@ -1173,10 +1329,12 @@ function renderMultiLineTextField(node, wrapper, state) {
     ta.name = node.id;
     wrapper.appendChild(ta);
     state.fieldRefs[node.id] = ta;
-    if (node.default) ta.value = node.default;
+    const def = staticDefault(node);
+    if (def) ta.value = def;
     if (node.required) {
         applyValidation(ta, { required: true });
     }
+    return { control: ta, validate: () => inputProblem(ta) };
 }
 
 function renderSelectField(node, wrapper, state) {
@@ -1185,11 +1343,13 @@ function renderSelectField(node, wrapper, state) {
     select.name = node.id;
     wrapper.appendChild(select);
     state.fieldRefs[node.id] = select;
-    if (node.default) select.value = node.default;
+    const def = staticDefault(node);
+    if (def) select.value = def;
     if (node.required) applyValidation(select, { required: true });
     if (node.multiple) select.multiple = true;
 
     loadSelectOptions(select, node).catch(console.error);
+    return { control: select, validate: () => inputProblem(select) };
 }
 
 async function loadSelectOptions(selectEl, node) {
@@ -1278,6 +1438,10 @@ function renderTableField(node, wrapper, state) {
             v.forEach((row) => addRow(row));
         },
     };
+    return {
+        control: tableWrapper,
+        focus: (problem) => focusEntry(problem, tableWrapper, addBtn),
+    };
 }
 
 function renderListField(node, wrapper, state) {
@@ -1317,6 +1481,10 @@ function renderListField(node, wrapper, state) {
             v.forEach((item) => addItem(item));
         },
     };
+    return {
+        control: listWrapper,
+        focus: (problem) => focusEntry(problem, listWrapper, addBtn),
+    };
 }
 
 function renderHiddenInput(node, wrapper, state) {
@@ -1324,21 +1492,99 @@ function renderHiddenInput(node, wrapper, state) {
     input.type = "hidden";
     input.id = node.id;
     input.name = node.id;
-    if (node.default) input.value = node.default;
+    const def = staticDefault(node);
+    if (def) input.value = def;
     wrapper.style.display = "none";
     wrapper.appendChild(input);
     state.fieldRefs[node.id] = input;
 }
 
+// `default:` of a node without expression defaults (`default:=today()`), which
+// applyExpressionDefaults fills in once the form is rendered and restored
+function staticDefault(node) {
+    if (defaultExpression(node.default) !== null) return undefined;
+    if (typeof node.default === "string" && node.default.startsWith("=="))
+        return node.default.slice(1);
+    return node.default;
+}
+
+/**
+ * Evaluate expression defaults (`default:=today()`, `default:"=date_admission + 5d"`,
+ * `default:=meta.unit`) in document order and fill in the fields. Fields restored
+ * from autosave, and fields that already hold a value, are left alone.
+ * @param {Object} state
+ * @param {Set<string>} [restoredIds] Field ids restored from autosave.
+ */
+export function applyExpressionDefaults(state, restoredIds = new Set()) {
+    const getValue = (id) =>
+        Object.prototype.hasOwnProperty.call(state.fieldRefs, id)
+            ? getFieldValue(id, state)
+            : undefined;
+    const visit = (nodes) =>
+        (nodes || []).forEach((node) => {
+            if (!node) return;
+            if (node.children) visit(node.children);
+            const expr = node.type === "field" && defaultExpression(node.default);
+            if (!expr || !node.id || restoredIds.has(node.id)) return;
+            const ref = state.fieldRefs[node.id];
+            if (!ref || !isEmptyValue(getFieldValueFromRef(ref))) return;
+            const value = evaluateExpression(expr, getValue, state.meta);
+            if (value === undefined || value === null || value === "") return;
+            if (ref instanceof HTMLElement && ref.type === "checkbox") {
+                ref.checked = value === true || String(value).toLowerCase() === "true";
+                ref.dispatchEvent(new Event("change"));
+            } else {
+                ref.value = defaultText(value);
+            }
+        });
+    visit(state.ast);
+}
+
+function defaultText(value) {
+    if (value instanceof Date) return formatISODate(value);
+    if (value && typeof value === "object" && "value" in value && "unit" in value)
+        return `${value.value} ${value.unit}`;
+    return String(value);
+}
+
+function isEmptyValue(v) {
+    if (v === undefined || v === null || v === false) return true;
+    if (Array.isArray(v)) return v.length === 0;
+    return String(v).trim() === "";
+}
+
+// Elements whose visibility, requiredness or read-only state depends on fields
+export const CONDITIONAL_ROWS =
+    "[data-condition], [data-required-if], [data-readonly-if]";
+
 export function reevaluateConditions(root, state) {
-    const rows = root.querySelectorAll("[data-condition]");
-    rows.forEach((row) => {
-        const expr = row.dataset.condition;
-        const visible = evaluateCondition(expr, (id) =>
-            getFieldValue(id, state)
+    const rows = root.querySelectorAll(CONDITIONAL_ROWS);
+    rows.forEach((row) => evaluateConditionRow(row, state));
+}
+
+// Apply the conditions of one element: `data-condition` shows or hides it,
+// `data-required-if` marks its fields required (`required-on`, read by the
+// field validators) and `data-readonly-if` locks them (`inert`). Required and
+// read-only conditions that do not evaluate leave the fields as declared.
+export function evaluateConditionRow(row, state) {
+    const getValue = (id) => getFieldValue(id, state);
+    if (row.dataset.condition !== undefined) {
+        const visible = evaluateCondition(
+            row.dataset.condition,
+            getValue,
+            state.meta
         );
         row.classList.toggle("hidden", !visible);
-    });
+    }
+    const holds = (expr) =>
+        truthy(evaluateExpression(expr, getValue, state.meta));
+    if (row.dataset.requiredIf !== undefined)
+        row.classList.toggle("required-on", holds(row.dataset.requiredIf));
+    if (row.dataset.readonlyIf !== undefined) {
+        const locked = holds(row.dataset.readonlyIf);
+        row.classList.toggle("readonly", locked);
+        row.inert = locked;
+    }
 }
 
 export function getFieldValueFromRef(ref) {
@@ -1354,46 +1600,33 @@ export function getFieldValue(id, state) {
     return getFieldValueFromRef(ref);
 }
 
+// Computed fields are evaluated in dependency order (state.graph) so a formula
+// reading a later computed field sees its current value.
 export function evaluateComputedAll(state) {
     if (!state.computed.length) return;
-    state.computed.forEach((node) => {
-        const formula = node.formula;
-        if (!formula) return;
-        try {
-            // Use a Proxy that cooperates with `with(ctx)` lookup rules:
-            // - `has` must return true for known field ids so identifiers bind here
-            // - return false for others so globals like Math/Date stay accessible
-            const ctx = new Proxy(
-                {},
-                {
-                    has(_, prop) {
-                        if (typeof prop === "symbol") return false;
-                        return Object.prototype.hasOwnProperty.call(
-                            state.fieldRefs,
-                            prop
-                        );
-                    },
-                    get(_, prop) {
-                        if (typeof prop === "symbol") return undefined;
-                        return getFieldValue(prop, state);
-                    },
-                }
-            );
-
-            const fn = new Function("ctx", `with(ctx){ return ${formula}; }`);
-            let val = fn(ctx);
-            if (node.format && /^decimal\(\d+\)$/.test(node.format)) {
-                const d = parseInt(
-                    node.format.match(/decimal\((\d+)\)/)[1],
-                    10
-                );
-                if (typeof val === "number") val = val.toFixed(d);
-            }
-            state.fieldRefs[node.id].value = (val ?? "").toString();
-        } catch (e) {
-            /* ignore */
-        }
-    });
+    orderComputed(state.computed, state.graph).forEach((node) =>
+        evaluateComputedField(node, state)
+    );
+}
+
+// Evaluate one computed field; returns true when its value changed.
+export function evaluateComputedField(node, state) {
+    const ref = state.fieldRefs[node.id];
+    if (!node.formula || !ref) return false;
+    try {
+        const val = evaluateFormula(node.formula, (id) =>
+            Object.prototype.hasOwnProperty.call(state.fieldRefs, id)
+                ? getFieldValue(id, state)
+                : undefined
+        );
+        // Stored unformatted so other formulas and the PDF read the value
+        const text = formulaText(val);
+        if (ref.value === text) return false;
+        ref.value = text;
+        return true;
+    } catch (e) {
+        return false;
+    }
 }
 
 // Render parsed markdown AST into HTML (safe, no raw HTML passthrough)
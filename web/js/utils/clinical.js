@@ -0,0 +1,345 @@
+import { isDuration } from "./dates.js";
+import { durationToDays } from "./prescription.js";
+
+/**
+ * Clinical calculators for computed formulas (`bmi(weight, height)`,
+ * `egfr_ckdepi(creatinine, age, sex)`, ...).
+ *
+ * Every input has a canonical unit (weight kg, height cm, creatinine mg/dL, ...).
+ * A plain number or numeric text is taken in that unit; text with a unit
+ * (`"154 lb"`, `"88 umol/L"`) or a `{ value, unit }` quantity is converted.
+ * Inputs that are missing, in an unknown unit or outside a physiologically
+ * plausible range give null (an empty result) rather than a wrong number.
+ * Results are not rounded; use `round()` or `format:` for display.
+ */
+
+/**
+ * Canonical unit, accepted units (lower case, factor to canonical) and
+ * plausible range of each kind of input.
+ */
+export const CLINICAL_QUANTITIES = {
+    weight: {
+        unit: "kg",
+        units: { kg: 1, g: 0.001, lb: 0.45359237, lbs: 0.45359237 },
+        range: [0.3, 500],
+    },
+    height: {
+        unit: "cm",
+        units: { cm: 1, m: 100, mm: 0.1, in: 2.54 },
+        range: [20, 280],
+    },
+    age: {
+        unit: "years",
+        units: { y: 1, yr: 1, yrs: 1, years: 1 },
+        range: [0, 130],
+    },
+    creatinine: {
+        unit: "mg/dL",
+        units: {
+            "mg/dl": 1,
+            "umol/l": 1 / 88.42,
+            "µmol/l": 1 / 88.42,
+            "μmol/l": 1 / 88.42,
+        },
+        range: [0.1, 40],
+    },
+    calcium: {
+        unit: "mg/dL",
+        units: { "mg/dl": 1, "mmol/l": 4.008 },
+        range: [2, 25],
+    },
+    albumin: {
+        unit: "g/dL",
+        units: { "g/dl": 1, "g/l": 0.1 },
+        range: [0.5, 8],
+    },
+    pressure: {
+        unit: "mmHg",
+        units: { mmhg: 1, kpa: 7.50062 },
+        range: [10, 350],
+    },
+    packs: { unit: "packs/day", units: {}, range: [0, 20] },
+    years: {
+        unit: "years",
+        units: { y: 1, yr: 1, yrs: 1, years: 1 },
+        range: [0, 100],
+    },
+};
+
+const QUANTITY_RE = /^([-+]?(?:\d+(?:\.\d+)?|\.\d+))\s*(\S.*)?$/;
+
+/**
+ * Read an input as a number in the canonical unit of `kind`.
+ *
+ * @param {unknown} v Number, numeric text, text with a unit, `{ value, unit }`
+ *   quantity, or (for ages and years) a duration.
+ * @param {keyof CLINICAL_QUANTITIES} kind
+ * @returns {number|null} null when missing, in an unknown unit or implausible.
+ */
+export function toQuantity(v, kind) {
+    const spec = CLINICAL_QUANTITIES[kind];
+    let value;
+    let unit = "";
+    if (typeof v === "number") value = v;
+    else if (isDuration(v) && spec.unit === "years")
+        value = durationToDays(v) / 365;
+    else if (v && typeof v === "object" && "value" in v) {
+        if (v.value === "" || v.value === null) return null;
+        value = Number(v.value);
+        unit = String(v.unit || "");
+    } else if (typeof v === "string") {
+        const m = QUANTITY_RE.exec(v.trim());
+        if (!m) return null;
+        value = Number(m[1]);
+        unit = m[2] || "";
+    } else return null;
+    if (!Number.isFinite(value)) return null;
+    unit = unit.trim().toLowerCase();
+    if (unit && unit !== spec.unit.toLowerCase()) {
+        if (!Object.prototype.hasOwnProperty.call(spec.units, unit)) return null;
+        value *= spec.units[unit];
+    }
+    const [min, max] = spec.range;
+    return value >= min && value <= max ? value : null;
+}
+
+/**
+ * Read a sex value: `male` / `female` (also `M` / `F`), case-insensitive.
+ *
+ * @param {unknown} v
+ * @returns {"male"|"female"|null}
+ */
+export function toSex(v) {
+    const s = String(v ?? "").trim().toLowerCase();
+    if (s === "m" || s === "male") return "male";
+    if (s === "f" || s === "female") return "female";
+    return null;
+}
+
+/**
+ * Body mass index, kg/m².
+ *
+ * @see WHO. Obesity: preventing and managing the global epidemic. Technical
+ *   Report Series 894, 2000.
+ * @param {unknown} weight kg
+ * @param {unknown} height cm
+ * @returns {number|null}
+ */
+export function bmi(weight, height) {
+    const w = toQuantity(weight, "weight");
+    const h = toQuantity(height, "height");
+    if (w === null || h === null) return null;
+    return w / (h / 100) ** 2;
+}
+
+/**
+ * Body surface area (Mosteller), m².
+ *
+ * @see Mosteller RD. Simplified calculation of body-surface area. N Engl J Med
+ *   1987;317(17):1098.
+ * @param {unknown} weight kg
+ * @param {unknown} height cm
+ * @returns {number|null}
+ */
+export function bsa(weight, height) {
+    const w = toQuantity(weight, "weight");
+    const h = toQuantity(height, "height");
+    if (w === null || h === null) return null;
+    return Math.sqrt((h * w) / 3600);
+}
+
+/**
+ * Mean arterial pressure, mmHg: (SBP + 2 × DBP) / 3.
+ *
+ * @see Sesso HD et al. Systolic and diastolic blood pressure, pulse pressure,
+ *   and mean arterial pressure as predictors of cardiovascular disease risk in
+ *   men. Hypertension 2000;36(5):801-7.
+ * @param {unknown} systolic mmHg
+ * @param {unknown} diastolic mmHg
+ * @returns {number|null} null also when diastolic exceeds systolic.
+ */
+export function meanArterialPressure(systolic, diastolic) {
+    const s = toQuantity(systolic, "pressure");
+    const d = toQuantity(diastolic, "pressure");
+    if (s === null || d === null || d > s) return null;
+    return (s + 2 * d) / 3;
+}
+
+/**
+ * Estimated GFR, CKD-EPI 2021 creatinine equation (race-free), mL/min/1.73 m².
+ * Adults (18 years and over) only.
+ *
+ * @see Inker LA et al. New creatinine- and cystatin C-based equations to
+ *   estimate GFR without race. N Engl J Med 2021;385(19):1737-49.
+ * @param {unknown} creatinine Serum creatinine, mg/dL (or µmol/L).
+ * @param {unknown} age years
+ * @param {unknown} sex male / female
+ * @returns {number|null}
+ */
+export function egfrCkdEpi(creatinine, age, sex) {
+    const scr = toQuantity(creatinine, "creatinine");
+    const a = toQuantity(age, "age");
+    const s = toSex(sex);
+    if (scr === null || a === null || a < 18 || !s) return null;
+    const female = s === "female";
+    const kappa = female ? 0.7 : 0.9;
+    const alpha = female ? -0.241 : -0.302;
+    const ratio = scr / kappa;
+    return (
+        142 *
+        Math.min(ratio, 1) ** alpha *
+        Math.max(ratio, 1) ** -1.2 *
+        0.9938 ** a *
+        (female ? 1.012 : 1)
+    );
+}
+
+/**
+ * Creatinine clearance (Cockcroft-Gault), mL/min, using actual body weight.
+ *
+ * @see Cockcroft DW, Gault MH. Prediction of creatinine clearance from serum
+ *   creatinine. Nephron 1976;16(1):31-41.
+ * @param {unknown} creatinine Serum creatinine, mg/dL (or µmol/L).
+ * @param {unknown} age years
+ * @param {unknown} weight kg
+ * @param {unknown} sex male / female
+ * @returns {number|null}
+ */
+export function cockcroftGault(creatinine, age, weight, sex) {
+    const scr = toQuantity(creatinine, "creatinine");
+    const a = toQuantity(age, "age");
+    const w = toQuantity(weight, "weight");
+    const s = toSex(sex);
+    if (scr === null || a === null || a < 18 || w === null || !s) return null;
+    return (((140 - a) * w) / (72 * scr)) * (s === "female" ? 0.85 : 1);
+}
+
+/**
+ * Albumin-corrected calcium: Ca + 0.8 × (4 − albumin) in mg/dL and g/dL
+ * (equivalently Ca + 0.02 × (40 − albumin) in mmol/L and g/L). The result is in
+ * the unit the calcium was given in.
+ *
+ * @see Payne RB et al. Interpretation of serum calcium in patients with
+ *   abnormal serum proteins. Br Med J 1973;4(5893):643-6.
+ * @param {unknown} calcium Total serum calcium, mg/dL (or mmol/L).
+ * @param {unknown} albumin Serum albumin, g/dL (or g/L).
+ * @returns {number|null}
+ */
+export function correctedCalcium(calcium, albumin) {
+    const ca = toQuantity(calcium, "calcium");
+    const alb = toQuantity(albumin, "albumin");
+    if (ca === null || alb === null) return null;
+    const corrected = ca + 0.8 * (4 - alb);
+    return /mmol/i.test(quantityUnit(calcium)) ? corrected / 4.008 : corrected;
+}
+
+/**
+ * Ideal body weight (Devine), kg: 50 (male) or 45.5 (female) + 2.3 kg per inch
+ * of height over 5 feet. Heights of 5 feet or less give the base weight.
+ *
+ * @see Devine BJ. Gentamicin therapy. Drug Intell Clin Pharm 1974;8:650-5.
+ * @param {unknown} height cm
+ * @param {unknown} sex male / female
+ * @returns {number|null}
+ */
+export function idealBodyWeight(height, sex) {
+    const h = toQuantity(height, "height");
+    const s = toSex(sex);
+    if (h === null || !s) return null;
+    const inchesOver5ft = Math.max(0, h / 2.54 - 60);
+    return (s === "female" ? 45.5 : 50) + 2.3 * inchesOver5ft;
+}
+
+/**
+ * Smoking pack-years: packs per day × years smoked (one pack = 20 cigarettes).
+ *
+ * @see Prignot J. Quantification and chemical markers of tobacco-exposure.
+ *   Eur J Respir Dis 1987;70(1):1-7.
+ * @param {unknown} packsPerDay
+ * @param {unknown} years
+ * @returns {number|null}
+ */
+export function packYears(packsPerDay, years) {
+    const p = toQuantity(packsPerDay, "packs");
+    const y = toQuantity(years, "years");
+    if (p === null || y === null) return null;
+    return p * y;
+}
+
+/**
+ * Calculators callable from computed formulas, in the formula function table
+ * shape (`{ args: [min, max], doc, fn }`). `unit` is the unit of the result and
+ * `source` the reference it implements.
+ */
+export const CLINICAL_FUNCTIONS = {
+    bmi: {
+        args: [2, 2],
+        doc: "bmi(weight kg, height cm): body mass index",
+        unit: "kg/m²",
+        source: "WHO TRS 894 (2000)",
+        fn: bmi,
+    },
+    bsa: {
+        args: [2, 2],
+        doc: "bsa(weight kg, height cm): body surface area (Mosteller)",
+        unit: "m²",
+        source: "Mosteller, N Engl J Med 1987;317:1098",
+        fn: bsa,
+    },
+    map: {
+        args: [2, 2],
+        doc: "map(systolic mmHg, diastolic mmHg): mean arterial pressure",
+        unit: "mmHg",
+        source: "Sesso et al., Hypertension 2000;36:801-7",
+        fn: meanArterialPressure,
+    },
+    egfr_ckdepi: {
+        args: [3, 3],
+        doc: "egfr_ckdepi(creatinine mg/dL, age years, sex): eGFR, CKD-EPI 2021",
+        unit: "mL/min/1.73 m²",
+        source: "Inker et al., N Engl J Med 2021;385:1737-49",
+        fn: egfrCkdEpi,
+    },
+    crcl_cockcroft_gault: {
+        args: [4, 4],
+        doc:
+            "crcl_cockcroft_gault(creatinine mg/dL, age years, weight kg, sex): creatinine clearance",
+        unit: "mL/min",
+        source: "Cockcroft & Gault, Nephron 1976;16:31-41",
+        fn: cockcroftGault,
+    },
+    corrected_calcium: {
+        args: [2, 2],
+        doc:
+            "corrected_calcium(calcium mg/dL, albumin g/dL): albumin-corrected calcium",
+        unit: "unit of calcium",
+        source: "Payne et al., Br Med J 1973;4:643-6",
+        fn: correctedCalcium,
+    },
+    ibw: {
+        args: [2, 2],
+        doc: "ibw(height cm, sex): ideal body weight (Devine)",
+        unit: "kg",
+        source: "Devine, Drug Intell Clin Pharm 1974;8:650-5",
+        fn: idealBodyWeight,
+    },
+    pack_years: {
+        args: [2, 2],
+        doc: "pack_years(packs per day, years smoked): cumulative smoking exposure",
+        unit: "pack-years",
+        source: "Prignot, Eur J Respir Dis 1987;70:1-7",
+        fn: packYears,
+    },
+};
+
+/**
+ * Unit written with a quantity (text suffix or `{ unit }`).
+ *
+ * @param {unknown} v
+ * @returns {string} "" when none.
+ */
+function quantityUnit(v) {
+    if (v && typeof v === "object") return String(v.unit || "");
+    const m = QUANTITY_RE.exec(String(v ?? "").trim());
+    return (m && m[2]) || "";
+}
@@ -0,0 +1,207 @@
+import { durationToDays } from "./prescription.js";
+
+/**
+ * Shared date semantics for conditions (`if:`) and computed formulas.
+ *
+ * Dates are calendar days: `YYYY-MM-DD` strings (what date inputs hold) are read
+ * as local midnight, so `today` and a date picked today compare equal.
+ * Durations use the app's `{ value, unit }` shape (unit days / weeks / months /
+ * years, as in complaint and disease durations) and convert to days with
+ * `durationToDays`; adding one to a date moves by calendar months / years.
+ */
+
+/** Duration literal suffixes (`7d`, `2w`, `3m`, `1y`) and their units. */
+export const DURATION_UNITS = { d: "days", w: "weeks", m: "months", y: "years" };
+
+const DURATION_RE = /^(\d+(?:\.\d+)?)\s*([dwmy])$/i;
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a duration literal such as `28d` or `1.5y`.
+ *
+ * @param {string} text
+ * @returns {{value:number, unit:string}|null}
+ */
+export function parseDuration(text) {
+    const m = DURATION_RE.exec(String(text).trim());
+    if (!m) return null;
+    return { value: Number(m[1]), unit: DURATION_UNITS[m[2].toLowerCase()] };
+}
+
+/**
+ * Whether a value is a `{ value, unit }` duration with a known unit.
+ *
+ * @param {unknown} v
+ * @returns {boolean}
+ */
+export function isDuration(v) {
+    return (
+        !!v &&
+        typeof v === "object" &&
+        !(v instanceof Date) &&
+        "value" in v &&
+        /^(day|week|month|year)s?$/i.test(String(v.unit || ""))
+    );
+}
+
+/**
+ * Read a date. `YYYY-MM-DD` is a local calendar day; other strings go through
+ * `Date.parse`. Numbers and numeric strings are not dates.
+ *
+ * @param {unknown} v
+ * @returns {Date|null}
+ */
+export function parseDate(v) {
+    if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+    if (typeof v !== "string") return null;
+    const s = v.trim();
+    if (!s || /^-?\d+(?:\.\d+)?$/.test(s)) return null;
+    const iso = ISO_DATE_RE.exec(s);
+    if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    const t = Date.parse(s);
+    return isNaN(t) ? null : new Date(t);
+}
+
+/**
+ * Today at local midnight.
+ *
+ * @returns {Date}
+ */
+export function today() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+/**
+ * Move a date by a duration: days and weeks exactly, months and years by the
+ * calendar (Jan 31 + 1 month = Feb 28/29).
+ *
+ * @param {Date|string} date
+ * @param {{value:number|string, unit:string}} duration
+ * @param {1|-1} [sign] -1 subtracts.
+ * @returns {Date|null} null when the date is invalid.
+ */
+export function addDuration(date, duration, sign = 1) {
+    const d = parseDate(date);
+    if (!d || !isDuration(duration)) return null;
+    const amount = Number(duration.value) * sign;
+    const unit = String(duration.unit).toLowerCase();
+    if (unit.startsWith("month") || unit.startsWith("year")) {
+        const months = unit.startsWith("year") ? amount * 12 : amount;
+        const target = new Date(d.getFullYear(), d.getMonth() + months, 1);
+        const lastDay = new Date(
+            target.getFullYear(),
+            target.getMonth() + 1,
+            0
+        ).getDate();
+        target.setDate(Math.min(d.getDate(), lastDay));
+        return target;
+    }
+    // Calendar days (not 24h steps) so daylight-saving changes do not shift the day
+    const days = Math.round(durationToDays({ value: amount, unit }));
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+}
+
+/**
+ * Whole calendar days from `from` to `to` (negative when `to` is earlier).
+ *
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {number|null} null when either date is missing or invalid.
+ */
+export function daysBetween(from, to) {
+    const a = parseDate(from);
+    const b = parseDate(to);
+    if (!a || !b) return null;
+    const utc = (d) => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+    return Math.round((utc(b) - utc(a)) / MS_PER_DAY);
+}
+
+/**
+ * Completed years from a date of birth to `at` (default today).
+ *
+ * @param {Date|string} dob
+ * @param {Date|string} [at]
+ * @returns {number|null} null when a date is missing or invalid.
+ */
+export function ageFrom(dob, at = today()) {
+    const b = parseDate(dob);
+    const t = parseDate(at);
+    if (!b || !t) return null;
+    let years = t.getFullYear() - b.getFullYear();
+    const beforeBirthday =
+        t.getMonth() < b.getMonth() ||
+        (t.getMonth() === b.getMonth() && t.getDate() < b.getDate());
+    if (beforeBirthday) years--;
+    return years;
+}
+
+/**
+ * Format a date as `YYYY-MM-DD` (local calendar day).
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatISODate(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const MONTH_NAMES = [
+    "Jan",
+    "Feb",
+    "Mar",
+    "Apr",
+    "May",
+    "Jun",
+    "Jul",
+    "Aug",
+    "Sep",
+    "Oct",
+    "Nov",
+    "Dec",
+];
+const DATE_TOKEN_RE = /yyyy|yy|MMM|MM|M|dd|d/g;
+
+/**
+ * Format a date with a pattern: `yyyy` `yy` year, `MMM` short month name,
+ * `MM` `M` month number, `dd` `d` day; other characters are kept.
+ *
+ * @param {Date|string} date
+ * @param {string} [pattern] Default `dd/MM/yyyy`.
+ * @returns {string|null} null when the date is missing or invalid.
+ */
+export function formatDate(date, pattern = "dd/MM/yyyy") {
+    const d = parseDate(date);
+    if (!d) return null;
+    const pad = (n) => String(n).padStart(2, "0");
+    const parts = {
+        yyyy: String(d.getFullYear()),
+        yy: pad(d.getFullYear() % 100),
+        MMM: MONTH_NAMES[d.getMonth()],
+        MM: pad(d.getMonth() + 1),
+        M: String(d.getMonth() + 1),
+        dd: pad(d.getDate()),
+        d: String(d.getDate()),
+    };
+    return String(pattern).replace(DATE_TOKEN_RE, (token) => parts[token]);
+}
+
+/**
+ * Date helpers callable from conditions and computed formulas. Dates are
+ * returned as `YYYY-MM-DD` strings and missing inputs give an empty string, so
+ * results display and compare like date field values.
+ */
+export const DATE_FUNCTIONS = {
+    today: () => formatISODate(today()),
+    age_from: (dob, at) => ageFrom(dob, at === undefined ? today() : at) ?? "",
+    days_between: (from, to) => daysBetween(from, to) ?? "",
+    add_duration: (date, duration) => {
+        const d = addDuration(
+            date,
+            typeof duration === "string" ? parseDuration(duration) : duration
+        );
+        return d ? formatISODate(d) : "";
+    },
+};
@@ -0,0 +1,171 @@
+import { formatDate, isDuration } from "./dates.js";
+import { durationToDays, formatFraction } from "./prescription.js";
+
+/**
+ * Output formats of computed fields (`format:` on `@computed`), shared by the
+ * form and the PDF so both print the same text.
+ *
+ *   decimal(n)     fixed n decimals            22.857 -> 22.86
+ *   integer        rounded to a whole number   22.857 -> 23
+ *   percent(n)     ratio as a percentage       0.256 -> 25.6%   (n decimals, default 0)
+ *   thousands(n)   grouped digits              1234567.8 -> 1,234,567.8 (n decimals, default 0)
+ *   date(pattern)  date with formatDate tokens 2025-03-09 -> 09/03/2025 (default dd/MM/yyyy)
+ *   duration       days (or a duration) in years / months / days   400 -> 1 year 1 month 5 days
+ *   fraction       quarters as ¼ ½ ¾           1.5 -> 1½
+ *
+ * Values a format does not apply to (text for a numeric format) are shown as
+ * they are.
+ */
+
+/** Format names and whether they take an argument. */
+export const COMPUTED_FORMATS = {
+    decimal: { arg: "number" },
+    integer: { arg: null },
+    percent: { arg: "number" },
+    thousands: { arg: "number" },
+    date: { arg: "pattern" },
+    duration: { arg: null },
+    fraction: { arg: null },
+};
+
+const FORMAT_RE = /^([a-z]+)(?:\((.*)\))?$/;
+
+/**
+ * Parse a `format:` value.
+ *
+ * @param {string} format e.g. `decimal(2)`, `date(dd MMM yyyy)`, `integer`.
+ * @returns {{name:string, arg:(number|string|null)}|null} null when the format
+ *   is unknown or its argument invalid.
+ */
+export function parseComputedFormat(format) {
+    const m = FORMAT_RE.exec(String(format ?? "").trim());
+    if (!m || !Object.prototype.hasOwnProperty.call(COMPUTED_FORMATS, m[1]))
+        return null;
+    const spec = COMPUTED_FORMATS[m[1]];
+    const raw = m[2] === undefined ? null : m[2].trim();
+    if (!spec.arg) return raw === null ? { name: m[1], arg: null } : null;
+    if (raw === null || raw === "") return { name: m[1], arg: null };
+    if (spec.arg === "number")
+        return /^\d{1,2}$/.test(raw) ? { name: m[1], arg: Number(raw) } : null;
+    return { name: m[1], arg: raw };
+}
+
+/**
+ * Text of a computed value in a format.
+ *
+ * @param {unknown} value Formula result (number, text, date text, duration).
+ * @param {string} [format] `format:` value; none shows the value as is.
+ * @param {string} [fallback] Text for an empty result.
+ * @returns {string}
+ */
+export function formatComputedValue(value, format, fallback = "") {
+    const text = formatted(value, parseComputedFormat(format));
+    return text.trim() === "" ? String(fallback ?? "") : text;
+}
+
+/**
+ * Apply a parsed format; anything it does not apply to is shown as text.
+ *
+ * @param {unknown} value
+ * @param {{name:string, arg:(number|string|null)}|null} fmt
+ * @returns {string}
+ */
+function formatted(value, fmt) {
+    if (value === undefined || value === null) return "";
+    const n = toNumber(value);
+    if (fmt) {
+        switch (fmt.name) {
+            case "decimal":
+                if (n !== null) return n.toFixed(fmt.arg ?? 0);
+                break;
+            case "integer":
+                if (n !== null) return String(Math.round(n));
+                break;
+            case "percent":
+                if (n !== null) return `${(n * 100).toFixed(fmt.arg ?? 0)}%`;
+                break;
+            case "thousands":
+                if (n !== null) return groupDigits(n.toFixed(fmt.arg ?? 0));
+                break;
+            case "date": {
+                const text = formatDate(value, fmt.arg || undefined);
+                if (text !== null) return text;
+                break;
+            }
+            case "duration":
+                if (isDuration(value) || n !== null)
+                    return formatDays(isDuration(value) ? durationToDays(value) : n);
+                break;
+            case "fraction":
+                if (n !== null) return formatQuarters(n);
+                break;
+        }
+    }
+    if (isDuration(value)) return `${value.value} ${value.unit}`;
+    return String(value);
+}
+
+/**
+ * Read a number from a number or numeric text.
+ *
+ * @param {unknown} v
+ * @returns {number|null}
+ */
+function toNumber(v) {
+    if (typeof v === "number") return Number.isFinite(v) ? v : null;
+    if (typeof v !== "string") return null;
+    const s = v.trim();
+    return /^[-+]?(?:\d+(?:\.\d+)?|\.\d+)$/.test(s) ? Number(s) : null;
+}
+
+/**
+ * Insert `,` between thousands of the integer part of a fixed-point string.
+ *
+ * @param {string} fixed e.g. "-1234567.80"
+ * @returns {string}
+ */
+function groupDigits(fixed) {
+    const [int, dec] = fixed.split(".");
+    const grouped = int.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    return dec === undefined ? grouped : `${grouped}.${dec}`;
+}
+
+/**
+ * Whole days as years / months / days, with the app's 365-day year and 30-day
+ * month (as in `durationToDays`).
+ *
+ * @param {number} days
+ * @returns {string} e.g. "1 year 2 months 3 days", "0 days".
+ */
+function formatDays(days) {
+    const sign = days < 0 ? "-" : "";
+    let rest = Math.round(Math.abs(days));
+    const parts = [];
+    [
+        ["year", 365],
+        ["month", 30],
+        ["day", 1],
+    ].forEach(([unit, size]) => {
+        const count = Math.floor(rest / size);
+        rest -= count * size;
+        if (count) parts.push(`${count} ${unit}${count === 1 ? "" : "s"}`);
+    });
+    return sign + (parts.join(" ") || "0 days");
+}
+
+/**
+ * A number with its quarter as ¼ ½ ¾ (`formatFraction`), e.g. 1.5 -> 1½;
+ * other values keep up to two decimals.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function formatQuarters(n) {
+    const whole = Math.trunc(n);
+    const part = Math.abs(n - whole);
+    const quarters = Math.round(part * 4);
+    if (quarters === 0 || quarters === 4 || Math.abs(part * 4 - quarters) > 1e-9)
+        return formatFraction(n);
+    const sign = n < 0 && whole === 0 ? "-" : "";
+    return `${sign}${whole || ""}${formatFraction(quarters / 4)}`;
+}
@@ -0,0 +1,39 @@
+/**
+ * Plausible ranges of common vitals, by vital and unit (the first unit is the
+ * one assumed when a field has none). A number or segmented field names its
+ * vital with `vital:` or by its id; without `warn_min` / `warn_max` it warns
+ * outside the range for its unit. Other units get no range.
+ * Read by the form's soft limits (validation.js) and the linter.
+ */
+const PLAUSIBLE_RANGES = {
+    pulse: { bpm: [30, 200], "beats/min": [30, 200], "/min": [30, 200] },
+    resp_rate: { "breaths/min": [6, 40], "/min": [6, 40] },
+    sbp: { mmhg: [60, 250] },
+    dbp: { mmhg: [30, 150] },
+    bp: { mmhg: [30, 250] },
+    temperature: { "°c": [34, 42], "°f": [93, 108] },
+    spo2: { "%": [70, 100] },
+    weight: { kg: [0.5, 300] },
+    age: { years: [0, 120] },
+};
+
+/** Names of the vitals with a plausible range. */
+export function getKnownVitals() {
+    return Object.keys(PLAUSIBLE_RANGES);
+}
+
+/**
+ * Plausible range of `vital` in `unit` (any case), or null when there is none.
+ * @param {string} vital
+ * @param {string} [unit] Defaults to the vital's first unit.
+ * @returns {{min:number, max:number}|null}
+ */
+export function getPlausibleRange(vital, unit) {
+    const key = String(vital || "").trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(PLAUSIBLE_RANGES, key)) return null;
+    const ranges = PLAUSIBLE_RANGES[key];
+    const u = String(unit || "").trim().toLowerCase() || Object.keys(ranges)[0];
+    if (!Object.prototype.hasOwnProperty.call(ranges, u)) return null;
+    const [min, max] = ranges[u];
+    return { min, max };
+}
@@ -1,74 +1,440 @@
 /* Validation utilities */
 
+import { conditionRefs, evaluateExpression, truthy } from "./conditional.js";
+import { getPlausibleRange } from "./utils/vitals.js";
+import { RULE_LEVELS } from "./mctm/mctm_diagnostics.js";
+
+// Static checks of a plain input, read by inputProblem
 export function applyValidation(input, config) {
   input.dataset.validation = JSON.stringify(config);
-  input.addEventListener("input", () => validateField(input));
-  input.addEventListener("blur", () => validateField(input));
 }
 
-export function validateField(input) {
+// Message for the first check `input` fails, or "" when it passes
+function fieldError(input) {
   const cfg = JSON.parse(input.dataset.validation || "{}");
-  let valid = true;
-  let msg = "";
   const v = input.type === "checkbox" ? input.checked : input.value.trim();
 
   if (cfg.required) {
-    if ((input.type === "checkbox" && !input.checked) || v === "") {
-      valid = false;
-      msg = "Required";
-    }
+    if ((input.type === "checkbox" && !input.checked) || v === "")
+      return "Required";
   }
 
-  if (valid && cfg.min !== undefined && input.type === "number") {
-    if (parseFloat(v) < parseFloat(cfg.min)) {
-      valid = false;
-      msg = `Min ${cfg.min}`;
-    }
+  if (cfg.min !== undefined && input.type === "number") {
+    if (parseFloat(v) < parseFloat(cfg.min)) return `Min ${cfg.min}`;
   }
 
-  if (valid && cfg.max !== undefined && input.type === "number") {
-    if (parseFloat(v) > parseFloat(cfg.max)) {
-      valid = false;
-      msg = `Max ${cfg.max}`;
-    }
+  if (cfg.max !== undefined && input.type === "number") {
+    if (parseFloat(v) > parseFloat(cfg.max)) return `Max ${cfg.max}`;
   }
 
-  if (valid && cfg.pattern) {
+  if (cfg.pattern) {
     try {
       const r = new RegExp(cfg.pattern);
-      if (!r.test(v)) {
-        valid = false;
-        msg = "Invalid format";
-      }
+      if (!r.test(v)) return "Invalid format";
     } catch (e) {
       /* ignore */
     }
   }
+  return "";
+}
 
-  setValidityPresentation(input, valid, msg);
-  return valid;
+// Problem of a `data-validation` input (applyValidation), for its field validator
+export function inputProblem(input) {
+  const message = fieldError(input);
+  return message ? { message, control: input } : null;
 }
 
-export function validateAll(container) {
-  const inputs = container.querySelectorAll("[data-validation]");
-  let all = true;
-  inputs.forEach((inp) => {
-    if (!validateField(inp)) all = false;
-  });
-  return all;
+// #region Field validators
+
+// Every rendered field has a validator (state.validators). Field renderers
+// return the parts they implement and createFieldValidator fills in the rest:
+//   validate()     -> null, or { message, control?, level? } for the first
+//                     problem of the current value (`control`: element holding
+//                     it; `level: "warning"` for values to confirm, see Soft
+//                     limits)
+//   control        -> the field's main element (aria-invalid, default focus)
+//   focus(problem) -> move focus to the problem (default: its control)
+//   messageHost    -> element the message is shown in (default: the field row)
+// `required` (or a `required_if:` that holds on the field or a group around it,
+// class `required-on`) is checked here on the field's value for every type,
+// before the renderer's own checks. Fields that are hidden (`if:` false) or
+// switched off (optional section, toggle group) are not checked. A locked field
+// (`readonly_if:`, class `readonly`) cannot be changed, so only an empty
+// required one is reported, as a warning: it would otherwise export empty
+// without notice.
+
+/**
+ * @param {Object} node Field node.
+ * @param {HTMLElement} wrapper The field's row (`.form-row`).
+ * @param {() => any} getValue Current value of the field.
+ * @param {{validate?:Function, control?:HTMLElement, focus?:Function, messageHost?:HTMLElement}} [parts]
+ * @returns {{id:string, validate:Function, control:HTMLElement, focus:Function, messageHost:HTMLElement, problem:Object|null}}
+ */
+export function createFieldValidator(node, wrapper, getValue, parts = {}) {
+  const control = parts.control || wrapper;
+  return {
+    id: node.id,
+    control,
+    messageHost: parts.messageHost || wrapper,
+    problem: null,
+    validate() {
+      if (isSwitchedOff(wrapper)) return null;
+      const required = node.required || !!wrapper.closest(".required-on");
+      const empty = required && !hasContent(getValue());
+      const locked = !!wrapper.closest(".readonly");
+      if (locked && empty)
+        return {
+          message: "Locked but empty",
+          level: "warning",
+          locked,
+          control,
+        };
+      if (locked) return null;
+      if (empty) return { message: "Required", control };
+      return parts.validate ? parts.validate() : null;
+    },
+    focus:
+      parts.focus ||
+      ((problem) => focusControl((problem && problem.control) || control)),
+  };
 }
 
-function setValidityPresentation(input, ok, msg) {
-  input.setAttribute("aria-invalid", String(!ok));
-  let msgEl = input.parentElement.querySelector(".error-msg");
-  if (!ok) {
+/**
+ * Run a field validator and show (or clear) its message.
+ * @returns {{message:string, control?:HTMLElement}|null} The problem found.
+ */
+export function runFieldValidator(validator) {
+  const problem = validator.validate();
+  const marked = validator.problem && validator.problem.control;
+  if (marked) marked.removeAttribute("aria-invalid");
+  validator.control.removeAttribute("aria-invalid");
+  const host = validator.messageHost;
+  let msgEl = host.querySelector(":scope > .error-msg:not(.rule-msg)");
+  if (problem) {
+    const level = problem.level || "error";
+    if (level === "error")
+      (problem.control || validator.control).setAttribute("aria-invalid", "true");
     if (!msgEl) {
       msgEl = document.createElement("div");
       msgEl.className = "error-msg";
-      input.parentElement.appendChild(msgEl);
+      host.appendChild(msgEl);
     }
-    msgEl.textContent = msg;
+    msgEl.textContent = problem.message;
+    msgEl.dataset.level = level;
   } else if (msgEl) {
     msgEl.remove();
   }
+  validator.problem = problem;
+  return problem;
+}
+
+/**
+ * Re-check the fields that show a problem after any edit, so the message goes
+ * away as soon as it is fixed, or once the field is hidden or no longer
+ * required (fields are not checked before that).
+ * @param {Array} validators `state.validators`.
+ */
+export function refreshFieldValidators(validators) {
+  (validators || []).forEach((v) => {
+    if (v.problem) runFieldValidator(v);
+  });
+}
+
+// Whether `el` or a container of it is hidden or switched off
+function isSwitchedOff(el) {
+  for (let node = el; node; node = node.parentElement) {
+    if (node.classList.contains("hidden") || node.classList.contains("disabled"))
+      return true;
+  }
+  return false;
+}
+
+/**
+ * Run the validators of `id`, e.g. when focus leaves the field, so values to
+ * confirm are flagged while the user is still nearby.
+ * @param {Array} validators `state.validators`.
+ * @param {string} id Field id.
+ */
+export function checkField(validators, id) {
+  (validators || []).forEach((v) => {
+    if (v.id === id) runFieldValidator(v);
+  });
 }
+
+// Whether a value holds anything: unchecked boxes, blank text and lists or
+// records of blanks are empty
+export function hasContent(v) {
+  if (v === undefined || v === null || v === false) return false;
+  if (Array.isArray(v)) return v.some(hasContent);
+  if (typeof v === "object") return Object.values(v).some(hasContent);
+  return String(v).trim() !== "";
+}
+
+// Focus `el`, or the first control inside it (custom widgets wrap inputs)
+export function focusControl(el) {
+  const control = el.matches("input, select, textarea, button")
+    ? el
+    : el.querySelector("input, select, textarea, button, [tabindex]");
+  (control || el).focus({ preventScroll: true });
+}
+
+// #endregion
+
+// #region Soft limits
+
+// `min` / `max` reject a value; `warn_min` / `warn_max` only ask to confirm it
+// (pulse 220, age 130). The warning does not block export and is recorded in
+// the exported JSON (`_warnings`). Fields without soft limits use the plausible
+// range of their vital (`vital:`, else the field id) in their unit, if there is
+// one (getPlausibleRange in utils/vitals.js).
+
+/**
+ * Soft limits of a numeric field.
+ * @param {Object} node Field node.
+ * @returns {{min:number|null, max:number|null}|null} null when there are none.
+ */
+export function softLimits(node) {
+  const min = limitValue(node.warn_min);
+  const max = limitValue(node.warn_max);
+  if (min !== null || max !== null) return { min, max };
+  return getPlausibleRange(node.vital || node.id, node.unit);
+}
+
+function limitValue(v) {
+  if (v === undefined || v === null || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Warning for a number outside its soft limits.
+ * @param {string} text Entered value; blank or non-numeric text is not checked.
+ * @param {{min:number|null, max:number|null}|null} limits
+ * @param {string} [unit] Shown after the value.
+ * @param {HTMLElement} [control]
+ * @returns {{message:string, level:"warning", control?:HTMLElement}|null}
+ */
+export function softLimitProblem(text, limits, unit, control) {
+  const s = String(text ?? "").trim();
+  if (!limits || s === "" || !Number.isFinite(Number(s))) return null;
+  const n = Number(s);
+  const { min = null, max = null } = limits;
+  if ((min === null || n >= min) && (max === null || n <= max)) return null;
+  const expected =
+    min !== null && max !== null
+      ? `${min}–${max}`
+      : min !== null
+      ? `at least ${min}`
+      : `at most ${max}`;
+  const value = unit ? `${s} ${String(unit).trim()}` : s;
+  return {
+    message: `Unusual value ${value} (expected ${expected}); confirm it is correct`,
+    level: "warning",
+    control,
+  };
+}
+
+// #endregion
+
+// #region Cross-field rules
+
+/**
+ * Evaluate template rules (`@rule check:"date_discharge >= date_admission"
+ * message:"..." level:error @`) with the condition engine and show each failure
+ * under the fields its check reads. A rule is skipped while a field it reads is
+ * empty (`required` covers missing values) or while the section or group it is
+ * declared in is hidden or switched off.
+ * @param {HTMLElement} root Form container.
+ * @param {Array<{node:Object, scope:HTMLElement}>} rules `state.rules`.
+ * @param {(id:string) => any} getValue
+ * @param {Object} [meta] Template meta, for `meta.*` references.
+ * @param {Set<string>} [changed] Only re-check rules reading one of these ids,
+ *   or whose section or group was shown or hidden since the last check.
+ * @returns {Array<{node:Object, level:string, message:string, targets:HTMLElement[]}>}
+ *   Failing rules among those checked; `targets` are the elements showing the
+ *   message.
+ */
+export function evaluateRules(root, rules, getValue, meta, changed) {
+  const failures = [];
+  (rules || []).forEach((rule) => {
+    const refs = ruleRefs(rule);
+    // A change elsewhere can show or hide the rule's section or group
+    const inScope = ruleInScope(rule, root);
+    if (
+      changed &&
+      inScope === rule.inScope &&
+      !refs.some((id) => changed.has(id))
+    ) {
+      if (rule.failure) failures.push(rule.failure);
+      return;
+    }
+    rule.inScope = inScope;
+    clearRuleMessages(rule);
+    rule.failure = null;
+    if (!inScope || !ruleApplies(rule, refs, getValue)) return;
+    const result = evaluateExpression(String(rule.node.check), getValue, meta);
+    // Checks that do not evaluate are reported by the linter, not the user
+    if (result === undefined || truthy(result)) return;
+    rule.failure = {
+      node: rule.node,
+      level: RULE_LEVELS.includes(rule.node.level) ? rule.node.level : "error",
+      message: String(rule.node.message || `Check failed: ${rule.node.check}`),
+    };
+    showRuleMessages(rule, root, refs);
+    failures.push(rule.failure);
+  });
+  return failures;
+}
+
+// Field ids a rule's check reads (cached on the rule)
+function ruleRefs(rule) {
+  if (!rule.refs) {
+    try {
+      rule.refs = conditionRefs(String(rule.node.check || "")).map(
+        (ref) => ref.name
+      );
+    } catch {
+      rule.refs = [];
+    }
+  }
+  return rule.refs;
+}
+
+// Whether the section or group the rule is declared in is shown and switched on
+function ruleInScope(rule, root) {
+  for (let el = rule.scope; el && el !== root; el = el.parentElement) {
+    if (el.classList.contains("hidden") || el.classList.contains("disabled"))
+      return false;
+  }
+  return true;
+}
+
+function ruleApplies(rule, refs, getValue) {
+  if (!rule.node.check || rule.node.check === true) return false;
+  return refs.every((id) => !isBlank(getValue(id)));
+}
+
+function isBlank(v) {
+  if (v === undefined || v === null) return true;
+  if (Array.isArray(v)) return v.length === 0;
+  return String(v).trim() === "";
+}
+
+// Under every field the check reads that is on screen (not hidden or switched
+// off), or in the rule's own container when none of them is
+function showRuleMessages(rule, root, refs) {
+  const rows = refs
+    .map((id) => root.querySelector(`[data-field-id="${id}"]`))
+    .filter((row) => row && !isSwitchedOff(row));
+  if (!rows.length && rule.scope) rows.push(rule.scope);
+  rule.failure.targets = rows;
+  rule.messages = rows.map((row) => {
+    const msgEl = document.createElement("div");
+    msgEl.className = "error-msg rule-msg";
+    msgEl.dataset.level = rule.failure.level;
+    msgEl.textContent = rule.failure.message;
+    row.appendChild(msgEl);
+    return msgEl;
+  });
+}
+
+function clearRuleMessages(rule) {
+  (rule.messages || []).forEach((el) => el.remove());
+  rule.messages = [];
+}
+
+// #endregion
+
+// #region Validation report
+
+/**
+ * Every failing field and rule, in form order, for the validation report.
+ * Field problems are errors unless they are values to confirm (soft limits) or
+ * locked required fields left empty (warnings); rules keep their level. Messages are shown in the form as by
+ * runFieldValidator / evaluateRules.
+ * @param {HTMLElement} root Form container.
+ * @param {Object} checks
+ * @param {Array} checks.validators `state.validators`.
+ * @param {Array<{node:Object, scope:HTMLElement}>} checks.rules `state.rules`.
+ * @param {(id:string) => any} checks.getValue
+ * @param {Object} [checks.meta]
+ * @returns {Array<{level:string, message:string, label:string, section:string, target:HTMLElement, fields:string[], confirm:boolean, focus?:Function}>}
+ *   `label` names the fields involved and `fields` their ids; `section` is the
+ *   title of the enclosing section ("" outside sections); `confirm` marks a
+ *   value outside its soft limits; `focus` moves to the problem once revealed.
+ */
+export function collectValidationIssues(
+  root,
+  { validators, rules, getValue, meta }
+) {
+  const issues = [];
+  (validators || []).forEach((v) => {
+    const problem = runFieldValidator(v);
+    if (!problem) return;
+    const target = problem.control || v.control;
+    const level = problem.level || "error";
+    issues.push({
+      ...issueAt(target, [target], level, problem.message),
+      fields: [v.id],
+      confirm: level === "warning" && !problem.locked,
+      focus: () => v.focus(problem),
+    });
+  });
+  evaluateRules(root, rules, getValue, meta).forEach((failure) => {
+    const { targets, level, message } = failure;
+    if (!targets.length) return;
+    issues.push({
+      ...issueAt(targets[0], targets, level, message),
+      fields: targets
+        .map((t) => t.closest("[data-field-id]"))
+        .filter(Boolean)
+        .map((row) => row.dataset.fieldId),
+      confirm: false,
+    });
+  });
+  return issues.sort((a, b) =>
+    a.target.compareDocumentPosition(b.target) &
+    Node.DOCUMENT_POSITION_FOLLOWING
+      ? -1
+      : 1
+  );
+}
+
+function issueAt(target, fields, level, message) {
+  const section = target.closest(".section");
+  const title = section && section.querySelector("h1");
+  return {
+    level,
+    message,
+    label: fields.map(fieldLabel).filter(Boolean).join(", "),
+    section: title ? title.textContent.trim() : "",
+    target,
+  };
+}
+
+// Label text of the form row holding `el`, or its field id
+function fieldLabel(el) {
+  const row = el.closest(".form-row");
+  if (!row) return "";
+  const label = row.querySelector("label");
+  return (label && label.textContent.trim()) || row.dataset.fieldId || "";
+}
+
+/**
+ * Bring a field into view: expand the collapsed sections holding it, then
+ * scroll to it and focus it (`focus`, or its first control). A locked (`inert`)
+ * field is only scrolled to.
+ * @param {HTMLElement} target Input or form row.
+ * @param {Function} [focus]
+ */
+export function revealField(target, focus) {
+  for (let el = target.parentElement; el; el = el.parentElement) {
+    if (el.classList.contains("section")) el.classList.remove("collapsed");
+  }
+  target.scrollIntoView({ block: "center", behavior: "smooth" });
+  if (target.closest("[inert]")) return;
+  if (focus) focus();
+  else focusControl(target);
+}
+
+// #endregion